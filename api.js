@@ -1,71 +1,445 @@
 /**
  * @file api.js
- * @description API service for fetching tasks from external API.
+ * @description REST client for the tasks API. Writes to the API board go to the server
+ * in read-write mode; otherwise they are applied locally only.
  */
 
-const API_BASE_URL = 'https://jsl-kanban-api.vercel.app';
+import { isApiBoard } from './boards.js';
 
 /**
- * Fetch tasks from the API
- * @returns {Promise<Array>} Promise that resolves to array of tasks
+ * The public, read-only tasks API.
+ * @type {string}
+ */
+export const DEFAULT_API_BASE_URL = 'https://jsl-kanban-api.vercel.app';
+
+/**
+ * Data source modes.
+ * 'local' never contacts the API, 'read' loads tasks from it and 'readwrite' also sends changes to it.
+ * @type {Array<{id: string, label: string}>}
+ */
+export const API_MODES = [
+  { id: 'local', label: 'Local only' },
+  { id: 'read', label: 'Read-only remote' },
+  { id: 'readwrite', label: 'Read-write remote' },
+];
+
+/**
+ * Most retries allowed when loading tasks.
+ * @type {number}
+ */
+export const MAX_RETRIES = 10;
+
+/**
+ * Current API configuration.
+ * Requests are aborted after timeoutMs; loading tasks is retried up to maxRetries times.
+ * @type {{mode: string, baseUrl: string, authToken: string, timeoutMs: number, maxRetries: number}}
+ */
+const apiConfig = {
+  mode: 'read',
+  baseUrl: DEFAULT_API_BASE_URL,
+  authToken: '',
+  timeoutMs: 10000,
+  maxRetries: 3,
+};
+
+/**
+ * First delay before retrying to load tasks. Doubles with every attempt, up to RETRY_MAX_DELAY.
+ * @type {number}
+ */
+const RETRY_BASE_DELAY = 500;
+
+/** @type {number} */
+const RETRY_MAX_DELAY = 8000;
+
+/**
+ * Error of a request to the API. Subclasses tell why the request failed.
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} message
+   * @param {{status?: number, cause?: Error}} [details]
+   */
+  constructor(message, details = {}) {
+    super(message, details.cause ? { cause: details.cause } : undefined);
+    this.name = this.constructor.name;
+    if (details.status !== undefined) this.status = details.status;
+  }
+}
+
+/** The server could not be reached. */
+export class NetworkError extends ApiError {}
+
+/** The server did not answer in time. */
+export class TimeoutError extends ApiError {}
+
+/** The server answered with an error status, available as `status`. */
+export class HttpStatusError extends ApiError {}
+
+/** The request was cancelled, e.g. because a newer one replaced it. */
+export class CancelledError extends ApiError {}
+
+/**
+ * Loads the API configuration saved in localStorage, if any.
+ */
+export function loadApiConfig() {
+  const stored = localStorage.getItem('apiConfig');
+  if (!stored) return;
+
+  try {
+    const parsed = JSON.parse(stored);
+    // Configs saved before modes existed only had a writable flag
+    if (!parsed.mode && typeof parsed.writable === 'boolean') {
+      parsed.mode = parsed.writable ? 'readwrite' : 'read';
+    }
+    // Configs saved before retries were capped may have more
+    if (typeof parsed.maxRetries === 'number' && parsed.maxRetries > MAX_RETRIES) {
+      parsed.maxRetries = MAX_RETRIES;
+    }
+    configureApi(parsed);
+  } catch (error) {
+    console.error('Error parsing stored API config:', error);
+  }
+}
+
+/**
+ * Saves the current API configuration to localStorage.
+ */
+export function saveApiConfig() {
+  localStorage.setItem('apiConfig', JSON.stringify(apiConfig));
+}
+
+/**
+ * Check a base URL is an absolute http(s) URL and normalize it.
+ * @param {string} baseUrl
+ * @returns {string} The URL without trailing slashes
  */
-export async function fetchTasks() {
+function normalizeBaseUrl(baseUrl) {
+  const trimmed = (baseUrl || '').trim().replace(/\/+$/, ''); // Drop trailing slashes
+  let url;
   try {
-    const response = await fetch(`${API_BASE_URL}/`);
-    
+    url = new URL(trimmed);
+  } catch (error) {
+    throw new Error('Enter a full API URL, e.g. https://example.com/api');
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error('The API URL must start with http:// or https://');
+  }
+  return trimmed;
+}
+
+/**
+ * Point the client at another API or change the data source mode. Every field is checked
+ * before any is applied, so an invalid one leaves the configuration as it was.
+ * @param {{mode?: string, baseUrl?: string, authToken?: string, timeoutMs?: number, maxRetries?: number}} config
+ */
+export function configureApi(config) {
+  const updates = {};
+  if (config.mode !== undefined) {
+    if (!API_MODES.some(mode => mode.id === config.mode)) {
+      throw new Error(`Unknown data source mode "${config.mode}".`);
+    }
+    updates.mode = config.mode;
+  }
+  if (config.baseUrl !== undefined) {
+    updates.baseUrl = normalizeBaseUrl(config.baseUrl);
+  }
+  if (config.authToken !== undefined) {
+    updates.authToken = config.authToken.trim();
+  }
+  if (config.timeoutMs !== undefined) {
+    if (!Number.isFinite(config.timeoutMs) || config.timeoutMs <= 0) {
+      throw new Error('The timeout must be a positive number of seconds.');
+    }
+    updates.timeoutMs = config.timeoutMs;
+  }
+  if (config.maxRetries !== undefined) {
+    if (!Number.isInteger(config.maxRetries) || config.maxRetries < 0 || config.maxRetries > MAX_RETRIES) {
+      throw new Error(`The number of retries must be a whole number from 0 to ${MAX_RETRIES}.`);
+    }
+    updates.maxRetries = config.maxRetries;
+  }
+  Object.assign(apiConfig, updates);
+}
+
+/**
+ * Get the current API configuration.
+ * @returns {{mode: string, baseUrl: string, authToken: string, timeoutMs: number, maxRetries: number}}
+ */
+export function getApiConfig() {
+  return { ...apiConfig };
+}
+
+/**
+ * Whether tasks should be loaded from the API at all.
+ * @returns {boolean}
+ */
+export function isRemoteEnabled() {
+  return apiConfig.mode !== 'local';
+}
+
+/**
+ * Whether task writes should be sent to the server.
+ * Boards other than the API board are always local only.
+ * @returns {boolean}
+ */
+export function shouldWriteThrough() {
+  return apiConfig.mode === 'readwrite' && isApiBoard();
+}
+
+/**
+ * Send a JSON request to the API. Requests that get no answer within the configured timeout are aborted.
+ * @param {string} method - HTTP method
+ * @param {string} path - Path below the base URL, starting with '/'
+ * @param {Object} [body] - JSON body
+ * @param {{config?: {baseUrl: string, authToken: string, timeoutMs?: number}, signal?: AbortSignal}} [options] -
+ *   Settings, defaulting to the current configuration, and a signal to cancel the request
+ * @returns {Promise<any>} Parsed JSON response, or null for empty responses
+ * @throws {ApiError} A NetworkError, TimeoutError, HttpStatusError or CancelledError
+ */
+async function request(method, path, body, { config = apiConfig, signal } = {}) {
+  const options = { method, headers: { Accept: 'application/json' } };
+  if (config.authToken) {
+    options.headers.Authorization = `Bearer ${config.authToken}`;
+  }
+  if (body !== undefined) {
+    options.headers['Content-Type'] = 'application/json';
+    options.body = JSON.stringify(body);
+  }
+
+  const timeoutMs = config.timeoutMs || apiConfig.timeoutMs;
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+  const cancel = () => controller.abort();
+  if (signal) {
+    if (signal.aborted) cancel();
+    signal.addEventListener('abort', cancel);
+  }
+  options.signal = controller.signal;
+
+  try {
+    const response = await fetch(`${config.baseUrl}${path}`, options);
     if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
+      throw new HttpStatusError(`HTTP error! status: ${response.status}`, { status: response.status });
     }
-    
-    const data = await response.json();
-    return Array.isArray(data) ? data : []; // Ensure we return an array
+
+    const text = await response.text();
+    return text ? JSON.parse(text) : null;
   } catch (error) {
-    console.error('Error fetching tasks:', error);
-    throw new Error(`Failed to fetch tasks: ${error.message}`);
+    if (error instanceof ApiError) throw error;
+    if (timedOut) {
+      throw new TimeoutError(`The server did not answer within ${timeoutMs / 1000} seconds.`, { cause: error });
+    }
+    if (signal && signal.aborted) {
+      throw new CancelledError('The request was cancelled.', { cause: error });
+    }
+    if (error instanceof SyntaxError) {
+      throw new ApiError('The server sent a response that is not valid JSON.', { cause: error });
+    }
+    throw new NetworkError(`Could not reach the server: ${error.message}`, { cause: error });
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', cancel);
   }
 }
 
 /**
- * Create a new task locally (API doesn't support POST)
- * @param {Object} taskData - Task data to create
- * @returns {Promise<Object>} Promise that resolves to created task
+ * Wait before a retry.
+ * @param {number} delay - Milliseconds
+ * @param {AbortSignal} [signal] - Cancels the wait
+ * @returns {Promise<void>}
+ * @throws {CancelledError} If the signal aborts first
  */
-export async function createTask(taskData) {
-  // Since the API is read-only, we'll create the task locally
-  const newTask = {
-    id: Date.now(),
+function waitForRetry(delay, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(new CancelledError('The request was cancelled.'));
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new CancelledError('The request was cancelled.'));
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, delay);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Get the delay before a retry: exponential backoff with jitter, so many clients
+ * retrying after an outage do not all hit the server at once.
+ * @param {number} attempt - 0 for the first retry
+ * @returns {number} Milliseconds
+ */
+function getRetryDelay(attempt) {
+  const delay = Math.min(RETRY_BASE_DELAY * 2 ** attempt, RETRY_MAX_DELAY);
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+/**
+ * Whether a failed request is worth retrying later: the server could not be
+ * reached or answered with a server error.
+ * @param {Error} error - Error thrown by a request
+ * @returns {boolean}
+ */
+export function isRetryableError(error) {
+  if (error instanceof NetworkError || error instanceof TimeoutError) return true;
+  return error instanceof HttpStatusError && (error.status >= 500 || error.status === 429);
+}
+
+/**
+ * Build the task fields sent to and returned from the API.
+ * @param {number} id
+ * @param {Object} taskData
+ * @returns {Object} Task with every field set
+ */
+export function buildTask(id, taskData) {
+  return {
+    id,
     title: taskData.title,
     description: taskData.description,
     status: taskData.status,
+    subtasks: taskData.subtasks || [],
+    dueDate: taskData.dueDate || null,
+    priority: taskData.priority || 'medium',
+    labels: taskData.labels || [],
+    ...(typeof taskData.position === 'number' && { position: taskData.position }),
+    ...(typeof taskData.createdAt === 'number' && { createdAt: taskData.createdAt }),
+    ...(typeof taskData.updatedAt === 'number' && { updatedAt: taskData.updatedAt }),
+    ...(typeof taskData.doneAt === 'number' && { doneAt: taskData.doneAt }),
   };
-  
-  return Promise.resolve(newTask);
 }
 
 /**
- * Update an existing task locally (API doesn't support PUT)
+ * Fetch tasks from the API. Network errors, timeouts and server errors are retried
+ * with backoff, up to the configured number of retries.
+ * @param {{signal?: AbortSignal, onRetry?: (attempt: number, error: ApiError) => void}} [options] -
+ *   A signal to cancel loading, and a function called before each retry
+ * @returns {Promise<Array>} Promise that resolves to array of tasks
+ * @throws {ApiError} The last attempt's error, or a CancelledError
+ */
+export async function fetchTasks({ signal, onRetry } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const data = await request('GET', '/', undefined, { signal });
+      return Array.isArray(data) ? data : []; // Ensure we return an array
+    } catch (error) {
+      if (attempt >= apiConfig.maxRetries || !isRetryableError(error)) {
+        console.error('Error fetching tasks:', error);
+        throw error;
+      }
+      const delay = getRetryDelay(attempt);
+      console.warn(`Error fetching tasks, retrying in ${delay} ms:`, error);
+      if (onRetry) onRetry(attempt + 1, error);
+      await waitForRetry(delay, signal);
+    }
+  }
+}
+
+/**
+ * Check that an API answers the tasks list request, without changing the current configuration.
+ * @param {{baseUrl: string, authToken?: string, timeoutMs?: number}} config - Settings to test
+ * @returns {Promise<number>} Promise that resolves to the number of tasks the API returned
+ */
+export async function testApiConnection(config) {
+  const data = await request('GET', '/', undefined, {
+    config: {
+      baseUrl: normalizeBaseUrl(config.baseUrl),
+      authToken: (config.authToken || '').trim(),
+      timeoutMs: config.timeoutMs,
+    },
+  });
+  if (!Array.isArray(data)) {
+    throw new Error('The API did not return a list of tasks.');
+  }
+  return data.length;
+}
+
+/**
+ * Create a new task on the server, or locally when writes are not sent to the API.
+ * @param {Object} taskData - Task data to create. An ID is generated unless one is given.
+ * @returns {Promise<Object>} Promise that resolves to created task
+ */
+export async function createTask(taskData) {
+  const now = Date.now();
+  const newTask = buildTask(taskData.id ?? now, { createdAt: now, ...taskData });
+
+  if (!shouldWriteThrough()) {
+    return newTask;
+  }
+  return request('POST', '/tasks', newTask);
+}
+
+/**
+ * Replace a task on the server, or locally when writes are not sent to the API.
+ * The server creates the task if it does not have it yet.
  * @param {number} taskId - ID of task to update
  * @param {Object} taskData - Updated task data
  * @returns {Promise<Object>} Promise that resolves to updated task
  */
 export async function updateTask(taskId, taskData) {
-  // Since the API is read-only, we'll return the updated data
-  const updatedTask = {
-    id: taskId,
-    title: taskData.title,
-    description: taskData.description,
-    status: taskData.status,
-  };
-  
-  return Promise.resolve(updatedTask);
+  const updatedTask = buildTask(taskId, taskData);
+
+  if (!shouldWriteThrough()) {
+    return updatedTask;
+  }
+  return request('PUT', `/tasks/${encodeURIComponent(taskId)}`, updatedTask);
 }
 
 /**
- * Delete a task locally (API doesn't support DELETE)
+ * Change some fields of a task on the server. Does nothing when writes are not sent to the API.
+ * @param {number} taskId - ID of task to update
+ * @param {Object} fields - Fields to change
+ * @returns {Promise<Object|null>} Promise that resolves to the updated task, or null when read-only
+ */
+export async function patchTask(taskId, fields) {
+  if (!shouldWriteThrough()) {
+    return null;
+  }
+  return request('PATCH', `/tasks/${encodeURIComponent(taskId)}`, fields);
+}
+
+/**
+ * Delete a task on the server. Succeeds without a request when the API is read-only,
+ * and when the server never had the task.
  * @param {number} taskId - ID of task to delete
  * @returns {Promise<boolean>} Promise that resolves to true if successful
  */
 export async function deleteTaskAPI(taskId) {
-  // Since the API is read-only, we'll just return success
-  return Promise.resolve(true);
-}
\ No newline at end of file
+  if (shouldWriteThrough()) {
+    try {
+      await request('DELETE', `/tasks/${encodeURIComponent(taskId)}`);
+    } catch (error) {
+      if (error.status !== 404) throw error;
+    }
+  }
+  return true;
+}
+
+/**
+ * Send a write queued while the server was unreachable, whichever board is active.
+ * Creates and updates send the task's current state; the server creates it if needed.
+ * @param {string} type - 'create', 'update' or 'delete'
+ * @param {number} taskId
+ * @param {Object} [task] - Current state of the task, for creates and updates
+ * @param {{signal?: AbortSignal}} [options] - Signal to cancel the request
+ * @returns {Promise<void>}
+ */
+export async function sendQueuedWrite(type, taskId, task, { signal } = {}) {
+  const path = `/tasks/${encodeURIComponent(taskId)}`;
+  if (type !== 'delete') {
+    await request('PUT', path, buildTask(taskId, task), { signal });
+    return;
+  }
+  try {
+    await request('DELETE', path, undefined, { signal });
+  } catch (error) {
+    if (error.status !== 404) throw error;
+  }
+}
@@ -0,0 +1,88 @@
+/**
+ * @file backups.js
+ * @description Backups of the active board's tasks and restoring them. Backups are taken
+ * when tasks are saved (see storage.js): one for each of the last saves, and one a day.
+ */
+
+import { tasks, restoreTasks } from './tasks.js';
+import { getActiveBoard } from './boards.js';
+import { getColumns, getColumn, isDoneStatus } from './columns.js';
+import { migrateTasks } from './storage.js';
+import { readBackups } from './database.js';
+import { SYNC_FIELDS } from './sync.js';
+
+/**
+ * A saved copy of a board's tasks. `reason` is 'save', 'daily' or 'migration'.
+ * @typedef {{id: number, boardId: number, createdAt: number, reason: string, schemaVersion: number, tasks: Array<Object>}} Backup
+ */
+
+/**
+ * Get the active board's backups.
+ * @returns {Promise<Backup[]>} Newest first
+ */
+export async function getBackups() {
+  const backups = await readBackups(getActiveBoard().id);
+  return backups.reverse();
+}
+
+/**
+ * Get a backup's tasks in the current schema version. Tasks of columns deleted since the backup
+ * go to the first column, as they would not be shown in a column that no longer exists.
+ * @param {Backup} backup
+ * @returns {{tasks: Array<Object>, moved: Array<Object>}} The tasks to restore, and those moved to the first column
+ */
+function getBackupTasks(backup) {
+  const { tasks: migrated, error } = migrateTasks(backup.tasks, backup.schemaVersion || 1);
+  if (error) throw error;
+
+  const firstColumn = getColumns()[0];
+  const moved = [];
+  const backupTasks = migrated.map(task => {
+    if (getColumn(task.status)) return task;
+    const placed = { ...task, status: firstColumn.id };
+    if (!isDoneStatus(firstColumn.id)) delete placed.doneAt;
+    moved.push(placed);
+    return placed;
+  });
+  return { tasks: backupTasks, moved };
+}
+
+/**
+ * Compare a backup with the current tasks, to preview what restoring it would change.
+ * @param {Backup} backup
+ * @returns {{added: Array<Object>, removed: Array<Object>, changed: Array<{task: Object, fields: string[]}>, moved: Array<Object>}}
+ *   Tasks restoring would re-create, delete, and change, with the fields that differ, and the
+ *   tasks whose column was deleted since, restored to the first column
+ */
+export function compareWithBackup(backup) {
+  const { tasks: backupTasks, moved } = getBackupTasks(backup);
+  const currentById = new Map(tasks.map(task => [task.id, task]));
+  const backupIds = new Set(backupTasks.map(task => task.id));
+  const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+  const changed = [];
+  backupTasks.forEach(task => {
+    const current = currentById.get(task.id);
+    if (!current) return;
+    const fields = SYNC_FIELDS.filter(field => !sameValue(current[field], task[field]));
+    if (fields.length) changed.push({ task, fields });
+  });
+
+  return {
+    added: backupTasks.filter(task => !currentById.has(task.id)),
+    removed: tasks.filter(task => !backupIds.has(task.id)),
+    changed,
+    moved,
+  };
+}
+
+/**
+ * Replace the active board's tasks with a backup's. The restore can be undone like any other change.
+ * Tasks of columns deleted since the backup are restored to the first column.
+ * @param {Backup} backup
+ * @returns {Promise<number>} Promise that resolves to the number of tasks changed
+ */
+export async function restoreBackup(backup) {
+  const label = `Restore backup of ${new Date(backup.createdAt).toLocaleString()}`;
+  return restoreTasks(getBackupTasks(backup).tasks, label);
+}
@@ -0,0 +1,255 @@
+/**
+ * @file boardFile.js
+ * @description Export of the active board (tasks, columns, labels) to a versioned JSON file,
+ * and import of such a file into the active board. Files are checked in full before any task changes.
+ */
+
+import { tasks, restoreTasks } from './tasks.js';
+import { getActiveBoard, saveBoards } from './boards.js';
+import { SCHEMA_VERSION, migrateTasks } from './storage.js';
+import { validateTasks } from './validation.js';
+
+/**
+ * Marks a JSON file as a board export.
+ * @type {string}
+ */
+export const BOARD_FILE_FORMAT = 'kanban-board';
+
+/**
+ * Version of the board file layout. Bump it when the layout changes in a way older
+ * versions cannot read; task changes are covered by the tasks' schema version.
+ * @type {number}
+ */
+export const BOARD_FILE_VERSION = 1;
+
+/**
+ * Problems listed in the error for an invalid file; the rest are counted.
+ * @type {number}
+ */
+const MAX_LISTED_PROBLEMS = 10;
+
+/**
+ * A board export.
+ * @typedef {{
+ *   format: string,
+ *   version: number,
+ *   schemaVersion: number,
+ *   exportedAt: string,
+ *   board: {name: string, columns: Array<Object>, labels: Array<Object>},
+ *   tasks: Array<Object>,
+ *   fixed?: number
+ * }} BoardFile - `fixed` counts, once parsed, the tasks whose problems were fixed
+ */
+
+/**
+ * Export the active board: its tasks, and its columns and labels with their settings.
+ * @returns {BoardFile}
+ */
+export function exportBoard() {
+  const board = getActiveBoard();
+  return JSON.parse(JSON.stringify({
+    format: BOARD_FILE_FORMAT,
+    version: BOARD_FILE_VERSION,
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    board: { name: board.name, columns: board.columns, labels: board.labels },
+    tasks,
+  }));
+}
+
+/**
+ * Name for the export file of the active board, e.g. "launch-career-2024-05-01.json".
+ * @param {string} extension - Without the dot
+ * @returns {string}
+ */
+export function getExportFileName(extension) {
+  const slug = getActiveBoard().name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'board';
+  return `${slug}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+}
+
+/**
+ * Whether a value is a plain object rather than null, an array or a primitive.
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Check a list of columns or labels: objects with a unique string ID and a name.
+ * @param {any} list
+ * @param {string} kind - 'column' or 'label', for the messages
+ * @param {string[]} problems - Receives what is wrong
+ */
+function checkNamedList(list, kind, problems) {
+  if (!Array.isArray(list)) {
+    problems.push(`The ${kind}s are not a list.`);
+    return;
+  }
+  const ids = new Set();
+  list.forEach((item, index) => {
+    if (!isObject(item) || typeof item.id !== 'string' || !item.id) {
+      problems.push(`The ${kind} at position ${index + 1} has no ID.`);
+    } else if (typeof item.name !== 'string' || !item.name.trim()) {
+      problems.push(`The ${kind} "${item.id}" has no name.`);
+    } else if (ids.has(item.id)) {
+      problems.push(`The ${kind} ID "${item.id}" is used more than once.`);
+    }
+    if (isObject(item)) ids.add(item.id);
+  });
+}
+
+/**
+ * Refuse a file with problems, listing the first ones.
+ * @param {string[]} problems
+ * @throws {Error} If there are any
+ */
+function throwIfProblems(problems) {
+  if (!problems.length) return;
+  const listed = problems.slice(0, MAX_LISTED_PROBLEMS).map(problem => `- ${problem}`).join('\n');
+  const more = problems.length > MAX_LISTED_PROBLEMS ? `\n...and ${problems.length - MAX_LISTED_PROBLEMS} more.` : '';
+  throw new Error(`The file cannot be imported:\n${listed}${more}`);
+}
+
+/**
+ * Parse and check a board file. Nothing is imported if any part of the file is invalid.
+ * Tasks exported with an older schema version are upgraded, then validated and fixed like
+ * tasks from the API.
+ * @param {string} text - Content of the file
+ * @returns {BoardFile}
+ * @throws {Error} Listing what is wrong with the file
+ */
+export function parseBoardFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`The file is not valid JSON: ${error.message}`);
+  }
+  if (!isObject(data) || data.format !== BOARD_FILE_FORMAT) {
+    throw new Error('The file is not a board export.');
+  }
+  if (!Number.isInteger(data.version) || data.version > BOARD_FILE_VERSION) {
+    throw new Error(`The file was exported by a newer version of the app (file version ${data.version}).`);
+  }
+  const schemaVersion = data.schemaVersion ?? 1;
+  if (!Number.isInteger(schemaVersion) || schemaVersion > SCHEMA_VERSION) {
+    throw new Error(`The file's tasks were saved by a newer version of the app (schema version ${data.schemaVersion}).`);
+  }
+
+  const problems = [];
+  if (!isObject(data.board)) {
+    problems.push('The file has no board settings.');
+  } else {
+    checkNamedList(data.board.columns, 'column', problems);
+    checkNamedList(data.board.labels, 'label', problems);
+    if (Array.isArray(data.board.columns) && data.board.columns.length === 0) problems.push('The board has no columns.');
+  }
+  if (!Array.isArray(data.tasks)) problems.push('The tasks are not a list.');
+  throwIfProblems(problems);
+
+  const { tasks: migrated, error } = migrateTasks(data.tasks, schemaVersion);
+  if (error) throw error;
+
+  // Tasks are checked like those from the API: what can be fixed is, what is not a task is refused
+  const { tasks: checked, report } = validateTasks(migrated, data.board.columns);
+  throwIfProblems(report.rejected.map(({ index, reason }) => `Task ${index + 1}: ${reason}`));
+  return { ...data, schemaVersion: SCHEMA_VERSION, tasks: checked, fixed: report.fixed.length };
+}
+
+/**
+ * Match a file's columns or labels with the board's, by ID and otherwise by name ignoring case.
+ * @param {Array<{id: string, name: string}>} fileItems
+ * @param {Array<{id: string, name: string}>} boardItems
+ * @param {string} prefix - Prefix of new IDs, e.g. 'col'
+ * @returns {{ids: Map<string, string>, added: Array<Object>}} Board ID of each file item, and the items the board lacks
+ */
+function matchItems(fileItems, boardItems, prefix) {
+  const ids = new Map();
+  const added = [];
+  const takenIds = new Set(boardItems.map(item => item.id));
+  fileItems.forEach(item => {
+    const match = boardItems.find(existing => existing.id === item.id)
+      || boardItems.find(existing => existing.name.toLowerCase() === item.name.trim().toLowerCase());
+    if (match) {
+      ids.set(item.id, match.id);
+      return;
+    }
+    const id = takenIds.has(item.id) ? `${prefix}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}` : item.id;
+    takenIds.add(id);
+    ids.set(item.id, id);
+    added.push({ ...item, id, name: item.name.trim() });
+  });
+  return { ids, added };
+}
+
+/**
+ * Work out what importing a file does to the active board.
+ * Columns and labels the board lacks are added; existing ones are kept, so an import
+ * never hides tasks. In 'merge' mode tasks of the file are added or update the task with
+ * the same ID; in 'replace' mode the board's tasks become the file's.
+ * @param {BoardFile} data - Checked by parseBoardFile
+ * @param {string} mode - 'merge' or 'replace'
+ * @returns {{tasks: Array<Object>, columns: Array<Object>, labels: Array<Object>, added: number, updated: number, removed: number}}
+ *   The board's tasks after the import, the columns and labels to add, and counts of task changes
+ */
+function planImport(data, mode) {
+  const board = getActiveBoard();
+  const columns = matchItems(data.board.columns, board.columns, 'col');
+  const labels = matchItems(data.board.labels, board.labels, 'label');
+
+  const imported = data.tasks.map(task => ({
+    ...task,
+    status: columns.ids.get(task.status),
+    labels: (task.labels || []).map(id => labels.ids.get(id)).filter(Boolean),
+  }));
+  const importedIds = new Set(imported.map(task => task.id));
+  const currentIds = new Set(tasks.map(task => task.id));
+
+  const kept = mode === 'replace' ? [] : tasks.filter(task => !importedIds.has(task.id));
+  return {
+    tasks: [...kept, ...imported],
+    columns: columns.added,
+    labels: labels.added,
+    added: imported.filter(task => !currentIds.has(task.id)).length,
+    updated: imported.filter(task => currentIds.has(task.id)).length,
+    removed: mode === 'replace' ? tasks.filter(task => !importedIds.has(task.id)).length : 0,
+  };
+}
+
+/**
+ * Preview an import without changing anything.
+ * @param {BoardFile} data - Checked by parseBoardFile
+ * @param {string} mode - 'merge' or 'replace'
+ * @returns {{added: number, updated: number, removed: number, columns: string[], labels: string[]}}
+ *   Counts of task changes, and names of the columns and labels to add
+ */
+export function previewImport(data, mode) {
+  const plan = planImport(data, mode);
+  return {
+    added: plan.added,
+    updated: plan.updated,
+    removed: plan.removed,
+    columns: plan.columns.map(column => column.name),
+    labels: plan.labels.map(label => label.name),
+  };
+}
+
+/**
+ * Import a board file into the active board. The task changes can be undone like any other;
+ * columns and labels added by the import stay.
+ * @param {BoardFile} data - Checked by parseBoardFile
+ * @param {string} mode - 'merge' or 'replace'
+ * @returns {Promise<number>} Promise that resolves to the number of tasks changed
+ */
+export async function importBoard(data, mode) {
+  const plan = planImport(data, mode);
+  const board = getActiveBoard();
+  if (plan.columns.length || plan.labels.length) {
+    board.columns.push(...plan.columns);
+    board.labels.push(...plan.labels);
+    saveBoards();
+  }
+  return restoreTasks(plan.tasks, `Import "${data.board.name}"`);
+}
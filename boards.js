@@ -0,0 +1,208 @@
+/**
+ * @file boards.js
+ * @description Boards data and persistence. Each board keeps its settings under its own localStorage keys;
+ * its tasks are saved in IndexedDB (see storage.js).
+ */
+
+/**
+ * ID of the board that existed before boards were introduced.
+ * It keeps the original storage keys and is the one backed by the API.
+ * @type {number}
+ */
+export const DEFAULT_BOARD_ID = 1;
+
+/**
+ * Columns given to new boards and to boards saved before columns were configurable.
+ * @type {Array<{id: string, name: string, color: string}>}
+ */
+export const DEFAULT_COLUMNS = [
+  { id: 'todo', name: 'Todo', color: '#49c4e5' },
+  { id: 'doing', name: 'Doing', color: '#8471f2' },
+  { id: 'done', name: 'Done', color: '#219c90' },
+];
+
+/**
+ * All boards, in sidebar order.
+ * @type {Array<{id: number, name: string, columns: Array<Object>, labels: Array<{id: string, name: string, color: string}>}>}
+ */
+export const boards = [];
+
+/**
+ * Names of the localStorage keys holding a board's data (see getBoardStorageKey).
+ * @type {string[]}
+ */
+const BOARD_STORAGE_NAMES = ['tasks', 'lastSaved', 'lastModified', 'labelFilter', 'history', 'syncBase', 'pendingOperations'];
+
+let activeBoardId = DEFAULT_BOARD_ID;
+
+/**
+ * Get a fresh copy of the default columns.
+ * @returns {Array<{id: string, name: string, color: string}>}
+ */
+function createDefaultColumns() {
+  return DEFAULT_COLUMNS.map(column => ({ ...column }));
+}
+
+/**
+ * Saves the boards list and the active board to localStorage.
+ */
+export function saveBoards() {
+  localStorage.setItem('boards', JSON.stringify(boards));
+  localStorage.setItem('activeBoardId', String(activeBoardId));
+}
+
+/**
+ * Loads boards from localStorage, creating the default board on first run.
+ */
+export function loadBoards() {
+  boards.length = 0;
+
+  const stored = localStorage.getItem('boards');
+  if (stored) {
+    try {
+      JSON.parse(stored).forEach(board => boards.push(board));
+    } catch (error) {
+      console.error('Error parsing stored boards:', error);
+    }
+  }
+
+  if (boards.length === 0) {
+    boards.push({ id: DEFAULT_BOARD_ID, name: 'Launch Career' });
+  } else if (!boards.some(board => isApiBoard(board.id))) {
+    // Older versions let the API board be deleted; bring it back without the data it left behind
+    boards.unshift({ id: DEFAULT_BOARD_ID, name: 'Launch Career' });
+    BOARD_STORAGE_NAMES.forEach(name => localStorage.removeItem(getBoardStorageKey(name, DEFAULT_BOARD_ID)));
+  }
+
+  boards.forEach(board => {
+    if (!Array.isArray(board.columns) || board.columns.length === 0) {
+      board.columns = createDefaultColumns();
+    }
+    if (!Array.isArray(board.labels)) {
+      board.labels = [];
+    }
+  });
+
+  const storedActiveId = Number(localStorage.getItem('activeBoardId'));
+  activeBoardId = boards.some(board => board.id === storedActiveId) ? storedActiveId : boards[0].id;
+}
+
+/**
+ * Get the currently active board.
+ * @returns {{id: number, name: string, columns: Array<Object>, labels: Array<Object>}} The active board
+ */
+export function getActiveBoard() {
+  return boards.find(board => board.id === activeBoardId);
+}
+
+/**
+ * Switch the active board.
+ * @param {number} boardId
+ * @returns {boolean} True if the board exists and is now active
+ */
+export function setActiveBoard(boardId) {
+  if (!boards.some(board => board.id === boardId)) return false;
+  activeBoardId = boardId;
+  saveBoards();
+  return true;
+}
+
+/**
+ * Whether a board is populated from the API rather than being local only.
+ * @param {number} [boardId] - Defaults to the active board
+ * @returns {boolean}
+ */
+export function isApiBoard(boardId = activeBoardId) {
+  return boardId === DEFAULT_BOARD_ID;
+}
+
+/**
+ * Get the localStorage key holding a piece of a board's data.
+ * The default board uses the unprefixed keys so existing data keeps working.
+ * @param {string} name - Key name, e.g. 'history' or 'labelFilter'
+ * @param {number} [boardId] - Defaults to the active board
+ * @returns {string} The storage key
+ */
+export function getBoardStorageKey(name, boardId = activeBoardId) {
+  return boardId === DEFAULT_BOARD_ID ? name : `board-${boardId}-${name}`;
+}
+
+/**
+ * Trim a board name and check it is non-empty and not already in use.
+ * @param {string} name
+ * @param {number} [ignoreId] - Board allowed to already have this name
+ * @returns {string} The trimmed name
+ */
+function validateBoardName(name, ignoreId) {
+  const trimmed = (name || '').trim();
+  if (!trimmed) {
+    throw new Error('Board name is required.');
+  }
+  const duplicate = boards.some(board =>
+    board.id !== ignoreId && board.name.toLowerCase() === trimmed.toLowerCase()
+  );
+  if (duplicate) {
+    throw new Error(`A board named "${trimmed}" already exists.`);
+  }
+  return trimmed;
+}
+
+/**
+ * Create a new, empty board with the default columns.
+ * @param {string} name
+ * @returns {{id: number, name: string, columns: Array<Object>, labels: Array<Object>}} The created board
+ */
+export function createBoard(name) {
+  const board = {
+    id: Date.now(),
+    name: validateBoardName(name),
+    columns: createDefaultColumns(),
+    labels: [],
+  };
+  boards.push(board);
+  saveBoards();
+  return board;
+}
+
+/**
+ * Rename a board.
+ * @param {number} boardId
+ * @param {string} name
+ * @returns {boolean} True if the board was found and renamed
+ */
+export function renameBoard(boardId, name) {
+  const board = boards.find(b => b.id === boardId);
+  if (!board) return false;
+  board.name = validateBoardName(name, boardId);
+  saveBoards();
+  return true;
+}
+
+/**
+ * Delete a board and its stored tasks. The last remaining board cannot be deleted, nor can
+ * the board synced with the API, as no other board would sync in its place.
+ * If the active board is deleted, the first remaining board becomes active.
+ * @param {number} boardId
+ * @returns {boolean} True if the board was deleted
+ */
+export function deleteBoard(boardId) {
+  const index = boards.findIndex(board => board.id === boardId);
+  if (index === -1) return false;
+  if (boards.length === 1) {
+    throw new Error('You cannot delete the only board.');
+  }
+  if (isApiBoard(boardId)) {
+    throw new Error('You cannot delete the board synced with the server.');
+  }
+
+  boards.splice(index, 1);
+  BOARD_STORAGE_NAMES.forEach(name => {
+    localStorage.removeItem(getBoardStorageKey(name, boardId));
+  });
+
+  if (activeBoardId === boardId) {
+    activeBoardId = boards[0].id;
+  }
+  saveBoards();
+  return true;
+}
@@ -0,0 +1,163 @@
+/**
+ * @file columns.js
+ * @description Functions to manage the active board's columns. A task's status is the ID of its column.
+ */
+
+import { getActiveBoard, saveBoards } from './boards.js';
+import { getTasksByStatus, moveTask, recordAction } from './tasks.js';
+
+/**
+ * Get the active board's columns, in display order.
+ * @returns {Array<{id: string, name: string, color: string, sortMode?: string}>}
+ */
+export function getColumns() {
+  return getActiveBoard().columns;
+}
+
+/**
+ * Find a column of the active board by ID.
+ * @param {string} columnId
+ * @returns {{id: string, name: string, color: string} | undefined}
+ */
+export function getColumn(columnId) {
+  return getColumns().find(column => column.id === columnId);
+}
+
+/**
+ * Trim a column name and check it is non-empty and not already in use on the board.
+ * @param {string} name
+ * @param {string} [ignoreId] - Column allowed to already have this name
+ * @returns {string} The trimmed name
+ */
+function validateColumnName(name, ignoreId) {
+  const trimmed = (name || '').trim();
+  if (!trimmed) {
+    throw new Error('Column name is required.');
+  }
+  const duplicate = getColumns().some(column =>
+    column.id !== ignoreId && column.name.toLowerCase() === trimmed.toLowerCase()
+  );
+  if (duplicate) {
+    throw new Error(`A column named "${trimmed}" already exists.`);
+  }
+  return trimmed;
+}
+
+/**
+ * Add a column at the end of the active board.
+ * @param {string} name
+ * @param {string} color - CSS color of the column dot
+ * @returns {{id: string, name: string, color: string}} The created column
+ */
+export function addColumn(name, color) {
+  const column = {
+    id: `col-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    name: validateColumnName(name),
+    color,
+  };
+  getColumns().push(column);
+  saveBoards();
+  return column;
+}
+
+/**
+ * Update a column's name and color.
+ * @param {string} columnId
+ * @param {{name: string, color: string}} updates
+ * @returns {boolean} True if the column was found and updated
+ */
+export function updateColumn(columnId, updates) {
+  const column = getColumn(columnId);
+  if (!column) return false;
+
+  column.name = validateColumnName(updates.name, columnId);
+  column.color = updates.color;
+  saveBoards();
+  return true;
+}
+
+/**
+ * Set how a column orders its tasks.
+ * @param {string} columnId
+ * @param {string} sortMode - One of the SORT_MODES ids from tasks.js
+ * @returns {boolean} True if the column was found and updated
+ */
+export function setColumnSortMode(columnId, sortMode) {
+  const column = getColumn(columnId);
+  if (!column) return false;
+
+  column.sortMode = sortMode;
+  saveBoards();
+  return true;
+}
+
+/**
+ * Move a column to a new index in the board.
+ * @param {string} columnId
+ * @param {number} newIndex
+ * @returns {boolean} True if the column was moved
+ */
+export function moveColumn(columnId, newIndex) {
+  const columns = getColumns();
+  const index = columns.findIndex(column => column.id === columnId);
+  if (index === -1 || newIndex < 0 || newIndex >= columns.length) return false;
+
+  const [column] = columns.splice(index, 1);
+  columns.splice(newIndex, 0, column);
+  saveBoards();
+  return true;
+}
+
+/**
+ * Delete a column, first moving its tasks to the end of another column. The moves and the
+ * deletion are a single undoable change, which brings the column back with its tasks.
+ * The last remaining column cannot be deleted.
+ * @param {string} columnId
+ * @param {string} targetColumnId - Column that receives the deleted column's tasks
+ * @returns {Promise<boolean>} Promise that resolves to true if the column was deleted
+ */
+export async function deleteColumn(columnId, targetColumnId) {
+  const columns = getColumns();
+  const index = columns.findIndex(column => column.id === columnId);
+  if (index === -1) return false;
+  if (columns.length === 1) {
+    throw new Error('You cannot delete the only column.');
+  }
+  if (targetColumnId === columnId || !getColumn(targetColumnId)) {
+    throw new Error('Choose another column to move the tasks to.');
+  }
+
+  const column = columns[index];
+  await recordAction(`Delete column "${column.name}"`, async () => {
+    for (const task of getTasksByStatus(columnId)) {
+      await moveTask(task.id, targetColumnId);
+    }
+    columns.splice(columns.indexOf(column), 1);
+    saveBoards();
+    return { list: 'columns', item: column, index };
+  });
+  return true;
+}
+
+/**
+ * Remove columns that hold no task, without an undo history entry, e.g. the columns created
+ * for an import that failed.
+ * @param {string[]} columnIds - Columns to remove if empty
+ * @returns {void}
+ */
+export function removeEmptyColumns(columnIds) {
+  const empty = columnIds.filter(id => getTasksByStatus(id).length === 0);
+  if (!empty.length) return;
+  getActiveBoard().columns = getColumns().filter(column => !empty.includes(column.id));
+  saveBoards();
+}
+
+/**
+ * Whether a status is the board's final column, whose tasks count as done.
+ * @param {string} status
+ * @returns {boolean}
+ */
+export function isDoneStatus(status) {
+  const columns = getColumns();
+  return columns.length > 0 && columns[columns.length - 1].id === status;
+}
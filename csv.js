@@ -0,0 +1,357 @@
+/**
+ * @file csv.js
+ * @description CSV export of the active board's tasks, and import of spreadsheet rows as new tasks.
+ * Spreadsheet columns are mapped onto task fields, and the values of the status column onto
+ * board columns, before the tasks are added.
+ */
+
+import { tasks, addTasks, PRIORITIES } from './tasks.js';
+import { getColumns, getColumn } from './columns.js';
+import { getLabels, getLabel, createLabel, removeUnusedLabels } from './labels.js';
+
+/**
+ * Task fields a spreadsheet column can be imported into.
+ * @type {Array<{id: string, name: string}>}
+ */
+export const CSV_FIELDS = [
+  { id: 'title', name: 'Title' },
+  { id: 'description', name: 'Description' },
+  { id: 'status', name: 'Column' },
+  { id: 'dueDate', name: 'Due date' },
+  { id: 'priority', name: 'Priority' },
+  { id: 'labels', name: 'Labels' },
+  { id: 'subtasks', name: 'Subtasks' },
+];
+
+/**
+ * Header names recognized for each field, lowercase, in addition to the field ID and name.
+ * @type {Object<string, string[]>}
+ */
+const FIELD_ALIASES = {
+  title: ['name', 'task', 'summary', 'subject'],
+  description: ['desc', 'details', 'notes', 'body'],
+  status: ['state', 'list', 'stage'],
+  dueDate: ['due', 'deadline', 'due_date', 'due on'],
+  priority: ['importance'],
+  labels: ['tags', 'label', 'tag'],
+  subtasks: ['checklist', 'subtask'],
+};
+
+/**
+ * Fields exported first, in this order; other task fields follow.
+ * @type {string[]}
+ */
+const EXPORT_FIELDS = ['id', 'title', 'description', 'status', 'position', 'dueDate', 'priority', 'labels', 'subtasks', 'createdAt', 'updatedAt', 'doneAt'];
+
+/**
+ * Cell starts spreadsheet apps read as a formula, e.g. "=HYPERLINK(...)".
+ * @type {RegExp}
+ */
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Parse CSV text into rows of fields, following RFC 4180: fields may be quoted, quoted
+ * fields may hold commas, line breaks and doubled quotes. The delimiter is a comma, or a
+ * semicolon if the first line has more of them, as some spreadsheet locales use.
+ * @param {string} text
+ * @returns {string[][]} Rows, without empty lines
+ * @throws {Error} If a quoted field is not closed
+ */
+export function parseCsv(text) {
+  text = text.replace(/^\uFEFF/, ''); // Byte order mark added by spreadsheet apps
+  const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 2;
+        continue;
+      }
+      if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+      i++;
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+      if (char === '\r' && text[i + 1] === '\n') i++;
+    } else {
+      field += char;
+    }
+    i++;
+  }
+  if (quoted) {
+    throw new Error('A quoted field is not closed.');
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * Turn rows of fields into CSV text, quoting fields that need it.
+ * @param {Array<Array<any>>} rows
+ * @returns {string}
+ */
+export function toCsv(rows) {
+  const quote = value => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return rows.map(row => row.map(quote).join(',')).join('\r\n');
+}
+
+/**
+ * Describe a task field's value as text for a spreadsheet cell.
+ * @param {string} field
+ * @param {any} value
+ * @returns {string}
+ */
+function formatCell(field, value) {
+  if (value === undefined || value === null) return '';
+  if (field === 'status') {
+    const column = getColumn(value);
+    return column ? column.name : value;
+  }
+  if (field === 'labels' && Array.isArray(value)) {
+    return value
+      .map(id => (getLabel(id) || { name: id }).name.replace(/[\\,]/g, '\\$&'))
+      .join(', ');
+  }
+  if (field === 'subtasks' && Array.isArray(value)) {
+    return value.map(subtask => `[${subtask.completed ? 'x' : ' '}] ${subtask.title}`).join('\n');
+  }
+  if (['createdAt', 'updatedAt', 'doneAt'].includes(field) && typeof value === 'number') {
+    return new Date(value).toISOString();
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Keep a spreadsheet app from running a cell as a formula, by starting it with an apostrophe
+ * as spreadsheet apps do for text. The import removes the apostrophe again.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeFormula(text) {
+  return FORMULA_START.test(text) ? `'${text}` : text;
+}
+
+/**
+ * Remove the apostrophe added by escapeFormula.
+ * @param {string} text
+ * @returns {string}
+ */
+function unescapeFormula(text) {
+  return text.startsWith("'") && FORMULA_START.test(text.slice(1)) ? text.slice(1) : text;
+}
+
+/**
+ * Export the active board's tasks as CSV: one row per task, one column per field.
+ * Columns and labels are written by name, subtasks one per line as "[x] title".
+ * Cells that would start a formula are escaped with an apostrophe.
+ * Starts with a byte order mark so spreadsheet apps read emoji and accents as UTF-8.
+ * @returns {string}
+ */
+export function exportTasksCsv() {
+  const extraFields = [...new Set(tasks.flatMap(task => Object.keys(task)))]
+    .filter(field => !EXPORT_FIELDS.includes(field));
+  const fields = [...EXPORT_FIELDS, ...extraFields];
+  const rows = tasks.map(task => fields.map(field => escapeFormula(formatCell(field, task[field]))));
+  return `\uFEFF${toCsv([fields, ...rows])}`;
+}
+
+/**
+ * Guess which task field each spreadsheet column holds, from its header.
+ * @param {string[]} headers
+ * @returns {Array<string|null>} Field ID per column, or null to ignore it; each field is used once
+ */
+export function guessFieldMapping(headers) {
+  const used = new Set();
+  return headers.map(header => {
+    const name = header.trim().toLowerCase();
+    const field = CSV_FIELDS.find(candidate => !used.has(candidate.id) && (
+      name === candidate.id.toLowerCase() || name === candidate.name.toLowerCase()
+      || FIELD_ALIASES[candidate.id].includes(name)
+    ));
+    if (!field) return null;
+    used.add(field.id);
+    return field.id;
+  });
+}
+
+/**
+ * Get the distinct values of a spreadsheet column, in order of appearance.
+ * @param {string[][]} rows - Data rows, without the header
+ * @param {number} index - Column index
+ * @returns {string[]} Trimmed values, empty ones included once
+ */
+export function getDistinctValues(rows, index) {
+  return [...new Set(rows.map(row => unescapeFormula((row[index] || '').trim())))];
+}
+
+/**
+ * Guess the board column a status value refers to, by ID or name ignoring case.
+ * @param {string} value
+ * @returns {string} Column ID, the first column if none matches
+ */
+export function guessBoardColumn(value) {
+  const name = value.toLowerCase();
+  const column = getColumns().find(candidate => candidate.id === value || candidate.name.toLowerCase() === name);
+  return (column || getColumns()[0]).id;
+}
+
+/**
+ * Turn a spreadsheet date into "YYYY-MM-DD".
+ * @param {string} value
+ * @returns {string|null} Null if the value is empty or not a date
+ */
+function parseDueDate(value) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+  const time = Date.parse(value);
+  if (!value || Number.isNaN(time)) return null;
+  const date = new Date(time);
+  const pad = number => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Turn a spreadsheet list of subtasks, one per line, into subtasks.
+ * Lines starting with "[x]" are completed, as written by the export.
+ * @param {string} value
+ * @returns {Array<{title: string, completed: boolean}>}
+ */
+function parseSubtasks(value) {
+  return value.split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => {
+      const match = /^\[([ xX]?)\]\s*(.*)$/.exec(line);
+      return match
+        ? { title: match[2], completed: match[1].toLowerCase() === 'x' }
+        : { title: line, completed: false };
+    })
+    .filter(subtask => subtask.title);
+}
+
+/**
+ * Split a spreadsheet cell into label names, separated by commas. A comma or backslash
+ * inside a name is escaped with a backslash, as the export writes it.
+ * @param {string} value
+ * @returns {string[]} Label names, without duplicates
+ */
+function parseLabelNames(value) {
+  const names = (value.match(/(?:\\.|[^,])+/g) || []).map(name => name.replace(/\\(.)/g, '$1').trim());
+  return [...new Set(names.filter(Boolean))];
+}
+
+/**
+ * Find the board's label with a name, ignoring case.
+ * @param {string} name
+ * @returns {{id: string, name: string, color: string} | undefined}
+ */
+function findLabelByName(name) {
+  return getLabels().find(label => label.name.toLowerCase() === name.toLowerCase());
+}
+
+/**
+ * Build the task for a spreadsheet row.
+ * @param {string[]} row
+ * @param {Array<string|null>} fieldMapping - Field ID per column, or null to ignore it
+ * @param {Object<string, string>} statusMapping - Board column ID per value of the status column
+ * @returns {Object|null} Task data for addTask, with `labelNames` instead of `labels`, or null
+ *   if the row has no title
+ */
+function buildTaskFromRow(row, fieldMapping, statusMapping) {
+  const values = {};
+  fieldMapping.forEach((field, index) => {
+    if (field) values[field] = unescapeFormula((row[index] || '').trim());
+  });
+  if (!values.title) return null;
+
+  const task = {
+    title: values.title,
+    description: values.description || '',
+    status: statusMapping[values.status ?? ''] || getColumns()[0].id,
+    subtasks: values.subtasks ? parseSubtasks(values.subtasks) : [],
+    dueDate: values.dueDate ? parseDueDate(values.dueDate) : null,
+    labelNames: values.labels ? parseLabelNames(values.labels) : [],
+  };
+  if (values.priority) {
+    const name = values.priority.toLowerCase();
+    const priority = PRIORITIES.find(p => p.id === name || p.label.toLowerCase() === name);
+    if (priority) task.priority = priority.id;
+  }
+  return task;
+}
+
+/**
+ * Add a task for each spreadsheet row, as a single undoable change. Rows without a title are skipped.
+ * @param {string[][]} rows - Data rows, without the header
+ * @param {Array<string|null>} fieldMapping - Field ID per column, or null to ignore it; one must be 'title'
+ * @param {Object<string, string>} statusMapping - Board column ID per value of the status column
+ * @param {string} fileName - For the undo history
+ * @returns {Promise<{imported: number, skipped: number}>}
+ * @throws {AddTasksError} If a task could not be added. The tasks added before it are kept, and
+ *   the error's `remainingRows` are the rows still to import.
+ */
+export async function importCsvRows(rows, fieldMapping, statusMapping, fileName) {
+  if (!fieldMapping.includes('title')) {
+    throw new Error('Choose the spreadsheet column holding the task titles.');
+  }
+  const rowTasks = [];
+  const rowIndexes = [];
+  rows.forEach((row, index) => {
+    const task = buildTaskFromRow(row, fieldMapping, statusMapping);
+    if (!task) return;
+    rowTasks.push(task);
+    rowIndexes.push(index);
+  });
+
+  // Labels the board lacks are created once every row is read; if adding the tasks fails,
+  // those no added task uses are removed again
+  const created = [];
+  const taskDataList = rowTasks.map(({ labelNames, ...taskData }) => ({
+    ...taskData,
+    labels: labelNames.map(name => {
+      let label = findLabelByName(name);
+      if (!label) {
+        label = createLabel(name);
+        created.push(label.id);
+      }
+      return label.id;
+    }),
+  }));
+  try {
+    await addTasks(taskDataList, `Import ${taskDataList.length} task(s) from "${fileName}"`);
+  } catch (error) {
+    removeUnusedLabels(created);
+    // The tasks added are kept, so a retry only needs the rows after the last of them
+    const added = error.added.length;
+    error.remainingRows = added ? rows.slice(rowIndexes[added - 1] + 1) : rows;
+    throw error;
+  }
+  return { imported: taskDataList.length, skipped: rows.length - taskDataList.length };
+}
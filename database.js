@@ -0,0 +1,182 @@
+/**
+ * @file database.js
+ * @description IndexedDB access for saved board data. Each task is its own record, keyed by
+ * board and task ID, so saving a change only writes the tasks that changed.
+ */
+
+const DB_NAME = 'kanban';
+const DB_VERSION = 2;
+
+/**
+ * Open connection, shared by every transaction.
+ * @type {Promise<IDBDatabase>|null}
+ */
+let dbPromise = null;
+
+/**
+ * Open the database, creating or upgrading its stores on first use.
+ * Stores: 'tasks' holds {boardId, id, task} records; 'boards' holds each board's
+ * {boardId, lastSaved, lastModified, order, schemaVersion}, order being the task IDs in array order;
+ * 'backups' holds copies of a board's tasks, {id, boardId, createdAt, reason, schemaVersion, tasks}.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('This browser does not support IndexedDB.'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (e) => {
+        const db = request.result;
+        if (e.oldVersion < 1) {
+          const taskStore = db.createObjectStore('tasks', { keyPath: ['boardId', 'id'] });
+          taskStore.createIndex('boardId', 'boardId');
+          db.createObjectStore('boards', { keyPath: 'boardId' });
+        }
+        if (e.oldVersion < 2) {
+          const backupStore = db.createObjectStore('backups', { keyPath: 'id', autoIncrement: true });
+          backupStore.createIndex('boardId', 'boardId');
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('Close the board in other tabs to finish updating its database.'));
+    });
+    // Let a later call try again rather than keep the failure
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Run requests in one transaction. Either all of its writes are saved or none is.
+ * @param {string[]} storeNames
+ * @param {IDBTransactionMode} mode
+ * @param {(transaction: IDBTransaction) => void} work - Issues the requests
+ * @returns {Promise<void>} Resolves once the transaction is committed
+ */
+async function runTransaction(storeNames, mode, work) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, mode);
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('The database transaction was aborted.'));
+    try {
+      work(transaction);
+    } catch (error) {
+      transaction.abort();
+      reject(error);
+    }
+  });
+}
+
+/**
+ * Key range covering every task of a board, whatever the type of their IDs.
+ * @param {number} boardId
+ * @returns {IDBKeyRange}
+ */
+function boardRange(boardId) {
+  return IDBKeyRange.bound([boardId], [boardId, []]);
+}
+
+/**
+ * Read a board's saved tasks and bookkeeping.
+ * @param {number} boardId
+ * @returns {Promise<{tasks: Array<Object>, meta: {lastSaved: number, lastModified: number|null, order: Array, schemaVersion?: number}|null}>}
+ *   Tasks in saved array order; meta is null if the board was never saved
+ */
+export async function readBoardData(boardId) {
+  let records = [];
+  let meta = null;
+  await runTransaction(['tasks', 'boards'], 'readonly', transaction => {
+    transaction.objectStore('tasks').getAll(boardRange(boardId)).onsuccess = (e) => {
+      records = e.target.result;
+    };
+    transaction.objectStore('boards').get(boardId).onsuccess = (e) => {
+      meta = e.target.result || null;
+    };
+  });
+
+  const order = new Map(((meta && meta.order) || []).map((id, index) => [id, index]));
+  const savedTasks = records
+    .sort((a, b) => (order.get(a.id) ?? order.size) - (order.get(b.id) ?? order.size))
+    .map(record => record.task);
+  return { tasks: savedTasks, meta };
+}
+
+/**
+ * Write changes to a board's saved tasks in one transaction.
+ * @param {number} boardId
+ * @param {{put?: Array<Object>, remove?: Array<number>, meta: Object, replace?: boolean}} changes -
+ *   Tasks to write and IDs to delete, the board's bookkeeping, and whether to drop every other saved task first
+ * @returns {Promise<void>}
+ */
+export function writeBoardData(boardId, { put = [], remove = [], meta, replace = false }) {
+  return runTransaction(['tasks', 'boards'], 'readwrite', transaction => {
+    const taskStore = transaction.objectStore('tasks');
+    if (replace) taskStore.delete(boardRange(boardId));
+    remove.forEach(id => taskStore.delete([boardId, id]));
+    put.forEach(task => taskStore.put({ boardId, id: task.id, task }));
+    transaction.objectStore('boards').put({ ...meta, boardId });
+  });
+}
+
+/**
+ * Delete everything saved for a board, backups included.
+ * @param {number} boardId
+ * @returns {Promise<void>}
+ */
+export function deleteBoardData(boardId) {
+  return runTransaction(['tasks', 'boards', 'backups'], 'readwrite', transaction => {
+    transaction.objectStore('tasks').delete(boardRange(boardId));
+    transaction.objectStore('boards').delete(boardId);
+    const backupIndex = transaction.objectStore('backups').index('boardId');
+    backupIndex.openKeyCursor(IDBKeyRange.only(boardId)).onsuccess = (e) => {
+      const cursor = e.target.result;
+      if (!cursor) return;
+      transaction.objectStore('backups').delete(cursor.primaryKey);
+      cursor.continue();
+    };
+  });
+}
+
+/**
+ * Save a copy of a board's tasks, dropping the oldest backups taken for the same reason
+ * beyond the number to keep.
+ * @param {number} boardId
+ * @param {{reason: string, schemaVersion: number, tasks: Array<Object>}} backup
+ * @param {number} [keep=Infinity] - Backups to keep for this reason, this one included
+ * @returns {Promise<void>}
+ */
+export function addBackup(boardId, backup, keep = Infinity) {
+  return runTransaction(['backups'], 'readwrite', transaction => {
+    const backupStore = transaction.objectStore('backups');
+    backupStore.add({ ...backup, boardId, createdAt: Date.now() });
+    backupStore.index('boardId').getAll(IDBKeyRange.only(boardId)).onsuccess = (e) => {
+      const sameReason = e.target.result.filter(existing => existing.reason === backup.reason);
+      // Backup IDs increase, so the oldest come first
+      sameReason.slice(0, Math.max(sameReason.length - keep, 0)).forEach(old => backupStore.delete(old.id));
+    };
+  });
+}
+
+/**
+ * Read a board's backups.
+ * @param {number} boardId
+ * @returns {Promise<Array<{id: number, boardId: number, createdAt: number, reason: string, schemaVersion: number, tasks: Array<Object>}>>}
+ *   Oldest first
+ */
+export async function readBackups(boardId) {
+  let backups = [];
+  await runTransaction(['backups'], 'readonly', transaction => {
+    transaction.objectStore('backups').index('boardId').getAll(IDBKeyRange.only(boardId)).onsuccess = (e) => {
+      backups = e.target.result;
+    };
+  });
+  return backups;
+}
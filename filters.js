@@ -0,0 +1,138 @@
+/**
+ * @file filters.js
+ * @description Board view filters that decide which task cards are shown.
+ */
+
+import { getDaysUntilDue } from './tasks.js';
+import { getBoardStorageKey } from './boards.js';
+
+/**
+ * Current filter state.
+ * @type {{dueWithinDays: number|null, labelIds: string[], searchQuery: string}}
+ */
+const filters = {
+  dueWithinDays: null,
+  labelIds: [],
+  searchQuery: '',
+};
+
+/**
+ * Fold text for matching: lowercase with accents removed.
+ * Also returns, for every folded character, the index of the original character
+ * it came from, so matches can be highlighted in the original text.
+ * @param {string} text
+ * @returns {{folded: string, sourceIndex: number[]}}
+ */
+function foldText(text) {
+  let folded = '';
+  const sourceIndex = [];
+  let index = 0;
+
+  for (const char of text) {
+    const foldedChar = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    for (let i = 0; i < foldedChar.length; i++) {
+      sourceIndex.push(index);
+    }
+    folded += foldedChar;
+    index += char.length;
+  }
+  sourceIndex.push(index); // End of text, for ranges that reach it
+  return { folded, sourceIndex };
+}
+
+/**
+ * Find where the current search query occurs in a piece of text, ignoring case and accents.
+ * @param {string} text
+ * @returns {Array<{start: number, end: number}>} Ranges in the original text; empty when not searching
+ */
+export function findSearchMatches(text) {
+  const query = foldText(filters.searchQuery.trim()).folded;
+  if (!query || !text) return [];
+
+  const { folded, sourceIndex } = foldText(text);
+  const matches = [];
+  let from = folded.indexOf(query);
+  while (from !== -1) {
+    matches.push({ start: sourceIndex[from], end: sourceIndex[from + query.length] });
+    from = folded.indexOf(query, from + query.length);
+  }
+  return matches;
+}
+
+/**
+ * Only show tasks due within the given number of days (overdue tasks included).
+ * @param {number|null} days - Null shows all tasks
+ */
+export function setDueWithinDays(days) {
+  filters.dueWithinDays = days;
+}
+
+/**
+ * Only show tasks whose title or description contains the query.
+ * @param {string} query - Empty shows all tasks
+ */
+export function setSearchQuery(query) {
+  filters.searchQuery = query;
+}
+
+/**
+ * Whether a search query is being applied.
+ * @returns {boolean}
+ */
+export function isSearching() {
+  return filters.searchQuery.trim() !== '';
+}
+
+/**
+ * Get the labels cards are currently filtered by.
+ * @returns {string[]} Selected label IDs; empty when not filtering by label
+ */
+export function getLabelFilter() {
+  return filters.labelIds;
+}
+
+/**
+ * Only show tasks carrying at least one of the given labels.
+ * The selection is remembered per board in localStorage.
+ * @param {string[]} labelIds - Empty shows all tasks
+ */
+export function setLabelFilter(labelIds) {
+  filters.labelIds = labelIds;
+  localStorage.setItem(getBoardStorageKey('labelFilter'), JSON.stringify(labelIds));
+}
+
+/**
+ * Restore the active board's label filter from localStorage.
+ * @param {string[]} validLabelIds - Labels that still exist on the board
+ */
+export function loadLabelFilter(validLabelIds) {
+  let stored = [];
+  try {
+    stored = JSON.parse(localStorage.getItem(getBoardStorageKey('labelFilter'))) || [];
+  } catch (error) {
+    console.error('Error parsing stored label filter:', error);
+  }
+  filters.labelIds = stored.filter(id => validLabelIds.includes(id));
+}
+
+/**
+ * Whether a task passes all active filters.
+ * @param {Object} task
+ * @returns {boolean}
+ */
+export function matchesFilters(task) {
+  if (filters.dueWithinDays !== null) {
+    const days = getDaysUntilDue(task);
+    if (days === null || days > filters.dueWithinDays) return false;
+  }
+  if (filters.labelIds.length > 0) {
+    const taskLabels = task.labels || [];
+    if (!filters.labelIds.some(id => taskLabels.includes(id))) return false;
+  }
+  if (isSearching()) {
+    const found = findSearchMatches(task.title).length > 0
+      || findSearchMatches(task.description).length > 0;
+    if (!found) return false;
+  }
+  return true;
+}
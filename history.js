@@ -0,0 +1,163 @@
+/**
+ * @file history.js
+ * @description Undo/redo history of task changes, persisted per board in localStorage
+ * so a mistake can still be undone after a page reload.
+ */
+
+import { applyTaskSnapshots } from './tasks.js';
+import { getActiveBoard, getBoardStorageKey, saveBoards } from './boards.js';
+import { getColumn } from './columns.js';
+
+/**
+ * Maximum number of entries kept in each stack.
+ * @type {number}
+ */
+const MAX_HISTORY = 50;
+
+/**
+ * A column or label an action removed from the board: the board list it was in
+ * ('columns' or 'labels'), the item and its index there.
+ * @typedef {{list: string, item: Object, index: number}} RemovedItem
+ */
+
+/**
+ * One undoable action. Each change holds a task's state before and after the action;
+ * null means the task did not exist. `removed` is put back on the board by undo.
+ * @typedef {{label: string, changes: Array<{id: number, before: Object|null, after: Object|null}>, removed?: RemovedItem}} HistoryEntry
+ */
+
+/** @type {HistoryEntry[]} */
+let undoStack = [];
+
+/** @type {HistoryEntry[]} */
+let redoStack = [];
+
+/**
+ * Saves both stacks to localStorage under the active board.
+ */
+function saveHistory() {
+  localStorage.setItem(getBoardStorageKey('history'), JSON.stringify({ undoStack, redoStack }));
+}
+
+/**
+ * Loads the active board's history from localStorage.
+ */
+export function loadHistory() {
+  undoStack = [];
+  redoStack = [];
+
+  const stored = localStorage.getItem(getBoardStorageKey('history'));
+  if (stored) {
+    try {
+      const parsed = JSON.parse(stored);
+      undoStack = parsed.undoStack || [];
+      redoStack = parsed.redoStack || [];
+    } catch (error) {
+      console.error('Error parsing stored history:', error);
+    }
+  }
+}
+
+/**
+ * Record an action so it can be undone. Clears the redo stack.
+ * @param {string} label - Short description, e.g. 'Delete "Buy milk"'
+ * @param {Array<{id: number, before: Object|null, after: Object|null}>} changes
+ * @param {RemovedItem} [removed] - Column or label the action removed from the board
+ */
+export function recordChange(label, changes, removed) {
+  if (changes.length === 0 && !removed) return;
+
+  undoStack.push(removed ? { label, changes, removed } : { label, changes });
+  if (undoStack.length > MAX_HISTORY) undoStack.shift();
+  redoStack = [];
+  saveHistory();
+}
+
+/**
+ * Put a removed column or label back on the board, unless it is there already.
+ * @param {RemovedItem} removed
+ */
+function putBack(removed) {
+  const list = getActiveBoard()[removed.list];
+  if (list.some(item => item.id === removed.item.id)) return;
+  list.splice(Math.min(removed.index, list.length), 0, JSON.parse(JSON.stringify(removed.item)));
+  saveBoards();
+}
+
+/**
+ * Remove a column or label from the board again.
+ * @param {RemovedItem} removed
+ */
+function removeAgain(removed) {
+  const list = getActiveBoard()[removed.list];
+  const index = list.findIndex(item => item.id === removed.item.id);
+  if (index === -1) return;
+  list.splice(index, 1);
+  saveBoards();
+}
+
+/**
+ * Get the task states to restore, refusing to restore a task into a column that no longer exists,
+ * where it would not be shown.
+ * @param {HistoryEntry} entry
+ * @param {string} side - 'before' to undo, 'after' to redo
+ * @returns {Array<{id: number, snapshot: Object|null}>}
+ * @throws {Error} If a task's column was deleted since
+ */
+function getSnapshots(entry, side) {
+  const snapshots = entry.changes.map(change => ({ id: change.id, snapshot: change[side] }));
+  const orphan = snapshots.find(({ snapshot }) => snapshot && !getColumn(snapshot.status));
+  if (orphan) {
+    throw new Error(`The column of "${orphan.snapshot.title}" no longer exists.`);
+  }
+  return snapshots;
+}
+
+/**
+ * Whether there is an action to undo.
+ * @returns {boolean}
+ */
+export function canUndo() {
+  return undoStack.length > 0;
+}
+
+/**
+ * Whether there is an undone action to redo.
+ * @returns {boolean}
+ */
+export function canRedo() {
+  return redoStack.length > 0;
+}
+
+/**
+ * Undo the most recent action.
+ * @returns {Promise<string|null>} Label of the undone action, or null if there was nothing to undo
+ */
+export async function undo() {
+  const entry = undoStack[undoStack.length - 1];
+  if (!entry) return null;
+
+  // Only leave the stack once applied, so a failed request can be retried
+  if (entry.removed) putBack(entry.removed);
+  await applyTaskSnapshots(getSnapshots(entry, 'before'));
+  undoStack.pop();
+  redoStack.push(entry);
+  saveHistory();
+  return entry.label;
+}
+
+/**
+ * Redo the most recently undone action.
+ * @returns {Promise<string|null>} Label of the redone action, or null if there was nothing to redo
+ */
+export async function redo() {
+  const entry = redoStack[redoStack.length - 1];
+  if (!entry) return null;
+
+  await applyTaskSnapshots(getSnapshots(entry, 'after'));
+  if (entry.removed) removeAgain(entry.removed);
+  redoStack.pop();
+  undoStack.push(entry);
+  saveHistory();
+  return entry.label;
+}
@@ -0,0 +1,18 @@
+/**
+ * @file html.js
+ * @description Helpers for building HTML strings, shared by the UI and the Markdown renderer.
+ */
+
+/**
+ * Escape text for safe insertion into innerHTML.
+ * @param {string} text
+ * @returns {string} HTML-escaped text
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
@@ -0,0 +1,204 @@
+/**
+ * @file ical.js
+ * @description iCalendar (RFC 5545) export of the active board's dated tasks, to subscribe to
+ * or import in a calendar app. Each task with a due date becomes either an all-day event on
+ * that date or a to-do due that day, generated from the current tasks whenever it is exported.
+ */
+
+import { tasks } from './tasks.js';
+import { getActiveBoard } from './boards.js';
+import { getColumn, isDoneStatus } from './columns.js';
+import { getLabel } from './labels.js';
+
+/**
+ * iCalendar priority of each task priority: 1 is the highest, 9 the lowest.
+ * @type {Object<string, number>}
+ */
+const ICAL_PRIORITIES = {
+  urgent: 1,
+  high: 3,
+  medium: 5,
+  low: 9,
+};
+
+/**
+ * Longest content line, in octets, before it is folded onto the next line.
+ * @type {number}
+ */
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape text for an iCalendar TEXT value: backslashes, semicolons, commas and line breaks.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Format a time as an iCalendar UTC date-time, e.g. "20240501T093000Z".
+ * @param {number} time - Milliseconds since the epoch
+ * @returns {string}
+ */
+function formatDateTime(time) {
+  return new Date(time).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Fold a content line so no line is longer than 75 octets. Continuation lines start with a
+ * space, and lines are only broken between characters, never inside a UTF-8 sequence.
+ * @param {string} line
+ * @returns {string}
+ */
+function foldLine(line) {
+  const encoder = new TextEncoder();
+  const lines = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    if (octets + size > MAX_LINE_OCTETS) {
+      lines.push(current);
+      current = ' ';
+      octets = 1;
+    }
+    current += char;
+    octets += size;
+  }
+  lines.push(current);
+  return lines.join('\r\n');
+}
+
+/**
+ * Stable UID of a task's to-do or event, so calendars update it rather than add a copy on each export.
+ * @param {Object} task
+ * @param {string} component - 'VTODO' or 'VEVENT'
+ * @returns {string}
+ */
+function getTaskUid(task, component) {
+  const suffix = component === 'VEVENT' ? '-due' : '';
+  return `task-${getActiveBoard().id}-${task.id}${suffix}@kanban-board`;
+}
+
+/**
+ * Format a "YYYY-MM-DD" date as an iCalendar date, optionally some days later.
+ * @param {string} date
+ * @param {number} [days=0]
+ * @returns {string} e.g. "20240501"
+ */
+function formatDate(date, days = 0) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+/**
+ * Build the content lines describing a task, shared by to-dos and events.
+ * @param {Object} task
+ * @returns {string[]} Unfolded lines
+ */
+function buildTaskProperties(task) {
+  const lines = [`SUMMARY:${escapeText(task.title)}`];
+  if (task.description) lines.push(`DESCRIPTION:${escapeText(task.description)}`);
+  if (task.createdAt) lines.push(`CREATED:${formatDateTime(task.createdAt)}`);
+  if (task.updatedAt || task.createdAt) lines.push(`LAST-MODIFIED:${formatDateTime(task.updatedAt || task.createdAt)}`);
+  if (ICAL_PRIORITIES[task.priority]) lines.push(`PRIORITY:${ICAL_PRIORITIES[task.priority]}`);
+
+  const column = getColumn(task.status);
+  const categories = [
+    column ? column.name : task.status,
+    ...(task.labels || []).map(getLabel).filter(Boolean).map(label => label.name),
+  ];
+  lines.push(`CATEGORIES:${categories.map(escapeText).join(',')}`);
+  return lines;
+}
+
+/**
+ * Build the content lines of a task's to-do, for apps with task lists (Apple Reminders, Thunderbird).
+ * @param {Object} task - A task with a due date
+ * @param {number} now - Time of the export
+ * @returns {string[]} Unfolded lines
+ */
+function buildTodo(task, now) {
+  const lines = [
+    'BEGIN:VTODO',
+    `UID:${getTaskUid(task, 'VTODO')}`,
+    `DTSTAMP:${formatDateTime(now)}`,
+    `DUE;VALUE=DATE:${formatDate(task.dueDate)}`,
+    ...buildTaskProperties(task),
+  ];
+  if (isDoneStatus(task.status)) {
+    lines.push('STATUS:COMPLETED', 'PERCENT-COMPLETE:100');
+    if (typeof task.doneAt === 'number') lines.push(`COMPLETED:${formatDateTime(task.doneAt)}`);
+  } else {
+    lines.push('STATUS:NEEDS-ACTION');
+  }
+  lines.push('END:VTODO');
+  return lines;
+}
+
+/**
+ * Build the content lines of an all-day event on a task's due date, for calendars that
+ * ignore to-dos (Google Calendar, Outlook). It does not block time in the calendar.
+ * @param {Object} task - A task with a due date
+ * @param {number} now - Time of the export
+ * @returns {string[]} Unfolded lines
+ */
+function buildEvent(task, now) {
+  return [
+    'BEGIN:VEVENT',
+    `UID:${getTaskUid(task, 'VEVENT')}`,
+    `DTSTAMP:${formatDateTime(now)}`,
+    `DTSTART;VALUE=DATE:${formatDate(task.dueDate)}`,
+    `DTEND;VALUE=DATE:${formatDate(task.dueDate, 1)}`,
+    'TRANSP:TRANSPARENT',
+    ...buildTaskProperties(task),
+    'END:VEVENT',
+  ];
+}
+
+/**
+ * Whether a task has a due date, which the export needs.
+ * @param {Object} task
+ * @returns {boolean}
+ */
+function hasDueDate(task) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(task.dueDate || '');
+}
+
+/**
+ * Count the active board's tasks with a due date, which the export includes.
+ * @returns {number}
+ */
+export function countDatedTasks() {
+  return tasks.filter(hasDueDate).length;
+}
+
+/**
+ * Export the active board's dated tasks as an iCalendar file, one event or to-do per task.
+ * Events suit calendars that ignore to-dos; to-dos are completed when the task is in the done
+ * column. Tasks without a due date are left out.
+ * @param {string} [component='VEVENT'] - 'VEVENT' or 'VTODO'
+ * @returns {string} File content, with CRLF line endings and folded lines
+ */
+export function exportTasksIcs(component = 'VEVENT') {
+  const now = Date.now();
+  const build = component === 'VTODO' ? buildTodo : buildEvent;
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Kanban Task Management Board//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(getActiveBoard().name)}`,
+    ...tasks
+      .filter(hasDueDate)
+      .flatMap(task => build(task, now)),
+    'END:VCALENDAR',
+  ];
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
@@ -5,7 +5,7 @@
 
 /**
  * Initial list of tasks.
- * @type {Array<{id: number, title: string, description: string, status: string}>}
+ * @type {Array<{id: number, title: string, description: string, status: string, subtasks?: Array<{title: string, completed: boolean}>}>}
  */
 export const initialTasks = [
     {
@@ -13,6 +13,11 @@ export const initialTasks = [
       title: "Launch Epic Career 🚀",
       description: "Create a killer Resume",
       status: "todo",
+      subtasks: [
+        { title: "List past projects", completed: true },
+        { title: "Write a summary", completed: false },
+        { title: "Ask a mentor for feedback", completed: false },
+      ],
     },
     {
       id: 2,
@@ -0,0 +1,121 @@
+/**
+ * @file labels.js
+ * @description Functions to manage the active board's labels. Tasks reference labels by ID.
+ */
+
+import { getActiveBoard, saveBoards } from './boards.js';
+import { tasks, editTask, recordAction } from './tasks.js';
+
+/**
+ * Colors offered for new labels, cycled by label count.
+ * @type {string[]}
+ */
+export const LABEL_COLORS = ['#635fc7', '#49c4e5', '#219c90', '#e5a449', '#ea5555', '#828fa3'];
+
+/**
+ * Get the active board's labels.
+ * @returns {Array<{id: string, name: string, color: string}>}
+ */
+export function getLabels() {
+  return getActiveBoard().labels;
+}
+
+/**
+ * Find a label of the active board by ID.
+ * @param {string} labelId
+ * @returns {{id: string, name: string, color: string} | undefined}
+ */
+export function getLabel(labelId) {
+  return getLabels().find(label => label.id === labelId);
+}
+
+/**
+ * Trim a label name and check it is non-empty and not already in use on the board.
+ * @param {string} name
+ * @param {string} [ignoreId] - Label allowed to already have this name
+ * @returns {string} The trimmed name
+ */
+function validateLabelName(name, ignoreId) {
+  const trimmed = (name || '').trim();
+  if (!trimmed) {
+    throw new Error('Label name is required.');
+  }
+  const duplicate = getLabels().some(label =>
+    label.id !== ignoreId && label.name.toLowerCase() === trimmed.toLowerCase()
+  );
+  if (duplicate) {
+    throw new Error(`A label named "${trimmed}" already exists.`);
+  }
+  return trimmed;
+}
+
+/**
+ * Create a label on the active board.
+ * @param {string} name
+ * @param {string} [color] - Defaults to the next color of the palette
+ * @returns {{id: string, name: string, color: string}} The created label
+ */
+export function createLabel(name, color) {
+  const labels = getLabels();
+  const label = {
+    id: `label-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    name: validateLabelName(name),
+    color: color || LABEL_COLORS[labels.length % LABEL_COLORS.length],
+  };
+  labels.push(label);
+  saveBoards();
+  return label;
+}
+
+/**
+ * Update a label's name and color.
+ * @param {string} labelId
+ * @param {{name: string, color: string}} updates
+ * @returns {boolean} True if the label was found and updated
+ */
+export function updateLabel(labelId, updates) {
+  const label = getLabel(labelId);
+  if (!label) return false;
+
+  label.name = validateLabelName(updates.name, labelId);
+  label.color = updates.color;
+  saveBoards();
+  return true;
+}
+
+/**
+ * Delete a label and remove it from every task on the active board, as a single undoable
+ * change that also brings the label back. Tasks are edited like any other, so the removal
+ * reaches the server.
+ * @param {string} labelId
+ * @returns {Promise<boolean>} Promise that resolves to true if the label was deleted
+ */
+export async function deleteLabel(labelId) {
+  const labels = getLabels();
+  const label = getLabel(labelId);
+  if (!label) return false;
+
+  await recordAction(`Delete label "${label.name}"`, async () => {
+    for (const task of tasks.filter(t => (t.labels || []).includes(labelId))) {
+      await editTask(task.id, { ...task, labels: task.labels.filter(id => id !== labelId) });
+    }
+    const index = labels.indexOf(label);
+    labels.splice(index, 1);
+    saveBoards();
+    return { list: 'labels', item: label, index };
+  });
+  return true;
+}
+
+/**
+ * Remove labels no task on the active board uses, without an undo history entry, e.g. the
+ * labels created for an import that failed.
+ * @param {string[]} labelIds - Labels to remove if unused
+ * @returns {void}
+ */
+export function removeUnusedLabels(labelIds) {
+  const unused = labelIds.filter(id => !tasks.some(task => (task.labels || []).includes(id)));
+  if (!unused.length) return;
+  getActiveBoard().labels = getLabels().filter(label => !unused.includes(label.id));
+  saveBoards();
+}
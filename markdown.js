@@ -0,0 +1,202 @@
+/**
+ * @file markdown.js
+ * @description Rendering of task descriptions written in Markdown: headings, lists, task list
+ * checkboxes ("- [ ]"), links, bold, italics, inline code and fenced code blocks.
+ * The text is escaped before any tag is added, so HTML written in a description is shown as
+ * text rather than run, and links only go to http(s) and mailto addresses.
+ */
+
+import { escapeHtml } from './html.js';
+
+/**
+ * A list item: indentation, marker ("-", "*", "+" or "1." / "1)") and content.
+ * @type {RegExp}
+ */
+const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+
+/**
+ * Task list checkbox at the start of a list item's content.
+ * @type {RegExp}
+ */
+const CHECKBOX = /^\[([ xX])\]\s+/;
+
+/**
+ * Code span or link, rendered before emphasis so their content is left as is.
+ * @type {RegExp}
+ */
+const INLINE_TOKEN = /(`[^`]+`|\[[^\]]+\]\([^)\s]+\))/;
+
+/**
+ * Addresses links may point to.
+ * @type {RegExp}
+ */
+const SAFE_URL = /^(https?:\/\/|mailto:)/i;
+
+/**
+ * Whether a line opens or closes a fenced code block.
+ * @param {string} line
+ * @returns {boolean}
+ */
+function isFence(line) {
+  return /^\s*```/.test(line);
+}
+
+/**
+ * Render bold and italic text, escaping the rest.
+ * @param {string} text
+ * @returns {string} HTML
+ */
+function renderEmphasis(text) {
+  return escapeHtml(text)
+    .replace(/\*\*(.+?)\*\*|__(.+?)__/g, (match, stars, underscores) => `<strong>${stars || underscores}</strong>`)
+    .replace(/\*([^*\s][^*]*)\*/g, '<em>$1</em>')
+    .replace(/(^|[^\w])_([^_\s][^_]*)_(?=[^\w]|$)/g, '$1<em>$2</em>');
+}
+
+/**
+ * Render a line's inline Markdown: code spans, links, bold and italics.
+ * Links to other than http(s) and mailto addresses are shown as text.
+ * @param {string} text
+ * @returns {string} HTML
+ */
+function renderInline(text) {
+  return text.split(INLINE_TOKEN).map((part, index) => {
+    if (index % 2 === 0) return renderEmphasis(part);
+    if (part.startsWith('`')) return `<code>${escapeHtml(part.slice(1, -1))}</code>`;
+
+    const [, label, url] = /^\[([^\]]+)\]\(([^)\s]+)\)$/.exec(part);
+    if (!SAFE_URL.test(url)) return renderEmphasis(part);
+    return `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${renderEmphasis(label)}</a>`;
+  }).join('');
+}
+
+/**
+ * Render consecutive list items as nested lists, nesting items by their indentation.
+ * @param {Array<{indent: number, ordered: boolean, html: string, checkbox: boolean}>} items
+ * @returns {string} HTML
+ */
+function renderList(items) {
+  let html = '';
+  const stack = [];
+  const closeList = () => {
+    html += `</li></${stack.pop().tag}>`;
+  };
+
+  items.forEach(item => {
+    const tag = item.ordered ? 'ol' : 'ul';
+    while (stack.length && stack[stack.length - 1].indent > item.indent) closeList();
+    const top = stack[stack.length - 1];
+    if (top && top.indent === item.indent && top.tag !== tag) closeList();
+
+    const current = stack[stack.length - 1];
+    if (current && current.indent === item.indent) {
+      html += '</li>';
+    } else {
+      html += `<${tag}>`;
+      stack.push({ indent: item.indent, tag });
+    }
+    html += item.checkbox ? `<li class="task-list-item">${item.html}` : `<li>${item.html}`;
+  });
+
+  while (stack.length) closeList();
+  return html;
+}
+
+/**
+ * Render a description written in Markdown as HTML. Task list checkboxes carry their
+ * position among the description's checkboxes in `data-index`, for toggleChecklistItem.
+ * @param {string} text
+ * @returns {string} Sanitized HTML
+ */
+export function renderMarkdown(text) {
+  const lines = String(text || '').split(/\r?\n/);
+  const blocks = [];
+  let paragraph = [];
+  let listItems = [];
+  let checkboxCount = 0;
+
+  const flush = () => {
+    if (paragraph.length) blocks.push(`<p>${paragraph.map(renderInline).join('<br>')}</p>`);
+    if (listItems.length) blocks.push(renderList(listItems));
+    paragraph = [];
+    listItems = [];
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (isFence(line)) {
+      flush();
+      const code = [];
+      while (i + 1 < lines.length && !isFence(lines[i + 1])) code.push(lines[++i]);
+      i++; // Skip the closing fence
+      blocks.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    const heading = /^(#{1,6})\s+(.*?)\s*#*\s*$/.exec(line);
+    if (heading) {
+      flush();
+      const level = heading[1].length;
+      blocks.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+      continue;
+    }
+
+    const item = LIST_ITEM.exec(line);
+    if (item) {
+      if (paragraph.length) flush();
+      const checkbox = CHECKBOX.exec(item[3]);
+      let html;
+      if (checkbox) {
+        const checked = checkbox[1] !== ' ' ? ' checked' : '';
+        html = `<input type="checkbox" class="markdown-checkbox" data-index="${checkboxCount++}"${checked} /> `
+          + renderInline(item[3].slice(checkbox[0].length));
+      } else {
+        html = renderInline(item[3]);
+      }
+      listItems.push({ indent: item[1].replace(/\t/g, '    ').length, ordered: /\d/.test(item[2]), html, checkbox: !!checkbox });
+      continue;
+    }
+
+    if (!line.trim()) {
+      flush();
+    } else if (listItems.length && /^\s+\S/.test(line)) {
+      // An indented line continues the list item above it
+      listItems[listItems.length - 1].html += `<br>${renderInline(line.trim())}`;
+    } else {
+      if (listItems.length) flush();
+      paragraph.push(line.trim());
+    }
+  }
+  flush();
+  return blocks.join('');
+}
+
+/**
+ * Check or uncheck a task list checkbox of a description, counting checkboxes the same way
+ * renderMarkdown numbers them; checkboxes in code blocks are not counted.
+ * @param {string} text - The description
+ * @param {number} index - The checkbox's `data-index`
+ * @param {boolean} checked
+ * @returns {string} The updated description, unchanged if there is no such checkbox
+ */
+export function toggleChecklistItem(text, index, checked) {
+  const lines = String(text || '').split('\n');
+  let count = 0;
+  let inCode = false;
+  for (let i = 0; i < lines.length; i++) {
+    if (isFence(lines[i])) {
+      inCode = !inCode;
+      continue;
+    }
+    const line = lines[i].replace(/\r$/, '');
+    const item = inCode ? null : LIST_ITEM.exec(line);
+    if (!item || !CHECKBOX.test(item[3])) continue;
+    if (count++ === index) {
+      const start = line.length - item[3].length;
+      lines[i] = `${lines[i].slice(0, start)}[${checked ? 'x' : ' '}]${lines[i].slice(start + 3)}`;
+      return lines.join('\n');
+    }
+  }
+  return text;
+}
@@ -0,0 +1,99 @@
+/**
+ * @file report.js
+ * @description Markdown status report of the active board, to paste into status emails:
+ * a heading per column with its task count, and each task as a list item with its description.
+ */
+
+import { getTasksByStatus, sortTasks, getSubtaskProgress } from './tasks.js';
+import { getActiveBoard } from './boards.js';
+import { getColumns, isDoneStatus } from './columns.js';
+import { getLabels } from './labels.js';
+
+/**
+ * Escape characters Markdown would otherwise format in text such as a task title.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeMarkdown(text) {
+  return String(text).replace(/[\\`*_[\]<>#|]/g, '\\$&');
+}
+
+/**
+ * Format a date as "YYYY-MM-DD" in local time.
+ * @param {Date} date
+ * @returns {string}
+ */
+function toDateString(date) {
+  const pad = number => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Render a task as a Markdown list item: the title in bold, its due date and subtask
+ * progress, then its description indented under it.
+ * @param {Object} task
+ * @returns {string}
+ */
+function renderTask(task) {
+  const details = [];
+  if (task.dueDate) details.push(`due ${task.dueDate}`);
+  const progress = getSubtaskProgress(task);
+  if (progress.total) details.push(`${progress.completed}/${progress.total} subtasks`);
+
+  let item = `- **${escapeMarkdown(task.title)}**${details.length ? ` (${details.join(', ')})` : ''}`;
+  const description = (task.description || '').trim();
+  if (description) {
+    item += `\n${description.split(/\r?\n/).map(line => (line ? `  ${line}` : '')).join('\n')}`;
+  }
+  return item;
+}
+
+/**
+ * Render tasks as Markdown list items, under a heading per label.
+ * Tasks with several labels are listed under each; tasks without one come last.
+ * @param {Array<Object>} columnTasks
+ * @returns {string}
+ */
+function renderByLabel(columnTasks) {
+  const groups = getLabels().map(label => ({
+    name: label.name,
+    tasks: columnTasks.filter(task => (task.labels || []).includes(label.id)),
+  }));
+  const labelIds = new Set(getLabels().map(label => label.id));
+  groups.push({
+    name: 'No label',
+    tasks: columnTasks.filter(task => !(task.labels || []).some(id => labelIds.has(id))),
+  });
+
+  return groups
+    .filter(group => group.tasks.length)
+    .map(group => `### ${escapeMarkdown(group.name)} (${group.tasks.length})\n\n${group.tasks.map(renderTask).join('\n')}`)
+    .join('\n\n');
+}
+
+/**
+ * Render the active board as a Markdown status report. Columns list their tasks in the
+ * order the board shows them; headings carry task counts like the column headers.
+ * @param {{doneSince?: string|null, groupByLabel?: boolean}} [options] -
+ *   doneSince ("YYYY-MM-DD") keeps only the done column's tasks finished since that day, leaving out
+ *   those finished before their completion time was recorded; groupByLabel lists tasks under a heading per label
+ * @returns {string} Markdown
+ */
+export function buildMarkdownReport({ doneSince = null, groupByLabel = false } = {}) {
+  const since = doneSince ? new Date(`${doneSince}T00:00:00`).getTime() : null;
+  const sections = getColumns().map(column => {
+    let columnTasks = sortTasks(getTasksByStatus(column.id), column.sortMode);
+    const filtered = since !== null && isDoneStatus(column.id);
+    if (filtered) {
+      columnTasks = columnTasks.filter(task => typeof task.doneAt === 'number' && task.doneAt >= since);
+    }
+
+    const heading = `## ${escapeMarkdown(column.name)} (${columnTasks.length})${filtered ? ` since ${doneSince}` : ''}`;
+    if (columnTasks.length === 0) return `${heading}\n\n_No tasks._`;
+    const body = groupByLabel ? renderByLabel(columnTasks) : columnTasks.map(renderTask).join('\n');
+    return `${heading}\n\n${body}`;
+  });
+
+  const title = `# ${escapeMarkdown(getActiveBoard().name)}: status report, ${toDateString(new Date())}`;
+  return `${[title, ...sections].join('\n\n')}\n`;
+}
@@ -3,9 +3,24 @@
  * @description Main entry point, initializes the board and event listeners.
  */
 
-import { loadFromLocalStorage, hasUnsavedChanges, saveToLocalStorage } from './storage.js';
-import { renderTasks, openModal } from './ui.js';
-import { loadTasksFromAPI } from './tasks.js';
+import {
+  loadSavedTasks, getMigrationError, hasUnsavedChanges, saveTasks,
+  getOutboxCounts, setOutboxListener, replayOutbox,
+} from './storage.js';
+import {
+  renderTasks, openModal, initializeDragAndDrop, initializeBoardNav, renderBoards,
+  undoLastChange, redoLastChange, initializeSettings, showConflictDialog,
+  initializeDiagnostics, renderDiagnosticsButton, initializeBackups, initializeTransfer,
+} from './ui.js';
+import { syncTasks } from './sync.js';
+import { loadBoards, setActiveBoard, isApiBoard } from './boards.js';
+import { setDueWithinDays, loadLabelFilter, setSearchQuery } from './filters.js';
+import { getLabels } from './labels.js';
+import { loadHistory } from './history.js';
+import {
+  loadApiConfig, isRemoteEnabled, getApiConfig,
+  NetworkError, TimeoutError, HttpStatusError, CancelledError,
+} from './api.js';
 
 /**
  * Initialize theme toggle functionality
@@ -116,6 +131,55 @@ function initializeMobileMenu() {
   }
 }
 
+/**
+ * Initialize the "due soon" filter in the header
+ */
+function initializeDueFilter() {
+  const dueFilter = document.getElementById('due-filter');
+  dueFilter.addEventListener('change', () => {
+    setDueWithinDays(dueFilter.value === '' ? null : Number(dueFilter.value));
+    renderTasks();
+  });
+}
+
+/**
+ * Initialize live search of task titles and descriptions
+ */
+function initializeSearch() {
+  const searchInput = document.getElementById('search-input');
+  searchInput.addEventListener('input', () => {
+    setSearchQuery(searchInput.value);
+    renderTasks();
+  });
+  searchInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      searchInput.value = '';
+      setSearchQuery('');
+      renderTasks();
+    }
+  });
+}
+
+/**
+ * Initialize Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y) undo and redo of task changes.
+ * Text fields keep their native undo.
+ */
+function initializeUndoShortcuts() {
+  document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey)) return;
+    if (e.target.closest('input, textarea, select')) return;
+
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      undoLastChange();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+      e.preventDefault();
+      redoLastChange();
+    }
+  });
+}
+
 /**
  * Update data status indicator
  */
@@ -131,6 +195,44 @@ function updateDataStatus(status, text) {
   statusText.textContent = text;
 }
 
+/**
+ * Show how many changes wait in the outbox, and how many the server rejected
+ * @param {{pending: number, failed: number}} counts
+ */
+function updateOutboxStatus({ pending, failed }) {
+  const outboxStatus = document.getElementById('outbox-status');
+  const parts = [];
+  if (pending) parts.push(`${pending} change(s) pending`);
+  if (failed) parts.push(`${failed} failed`);
+
+  outboxStatus.textContent = parts.length ? `· ${parts.join(', ')}` : '';
+  outboxStatus.classList.toggle('hidden', parts.length === 0);
+  outboxStatus.classList.toggle('failed', failed > 0);
+  outboxStatus.title = failed ? 'The server rejected some changes. Reload to sync with it again.' : '';
+}
+
+/**
+ * Track connectivity: changes made offline wait in the outbox and are sent when the connection returns
+ */
+function initializeOutbox() {
+  setOutboxListener(updateOutboxStatus);
+  updateOutboxStatus(getOutboxCounts());
+
+  window.addEventListener('offline', () => {
+    updateDataStatus('local', 'Offline, changes are saved locally');
+  });
+  window.addEventListener('online', async () => {
+    const source = isApiBoard() && isRemoteEnabled() ? 'api' : 'local';
+    if (!getOutboxCounts().pending || getApiConfig().mode !== 'readwrite') {
+      updateDataStatus(source, 'Back online');
+      return;
+    }
+    updateDataStatus('loading', 'Back online, sending changes...');
+    const sent = await replayOutbox();
+    updateDataStatus(sent ? source : 'local', sent ? 'Changes sent to server' : 'Server unreachable, will retry');
+  });
+}
+
 /**
  * Show loading state
  */
@@ -138,9 +240,10 @@ function showLoading() {
   const loadingOverlay = document.getElementById('loading-overlay');
   const errorMessage = document.getElementById('error-message');
   
+  setLoadingText('Loading tasks...');
   loadingOverlay.style.display = 'flex';
   errorMessage.classList.add('hidden');
-  updateDataStatus('loading', 'Loading from API...');
+  updateDataStatus('loading', `Loading from ${new URL(getApiConfig().baseUrl).host}...`);
 }
 
 /**
@@ -154,16 +257,56 @@ function hideLoading() {
 /**
  * Show error state
  */
-function showError(message) {
+function showError(error) {
   const errorMessage = document.getElementById('error-message');
   const errorText = document.getElementById('error-text');
   const loadingOverlay = document.getElementById('loading-overlay');
   
-  errorText.textContent = message;
+  errorText.textContent = describeLoadError(error);
   errorMessage.classList.remove('hidden');
   loadingOverlay.style.display = 'none';
 }
 
+/**
+ * Turn an error from loading tasks into a message that says what to do about it
+ * @param {Error|string} error
+ * @returns {string}
+ */
+function describeLoadError(error) {
+  if (typeof error === 'string') return error;
+
+  const host = new URL(getApiConfig().baseUrl).host;
+  if (error instanceof CancelledError) {
+    return 'Loading was cancelled. Click Retry to try again.';
+  }
+  if (error instanceof TimeoutError) {
+    return `${host} did not answer in time. Check the server is running, or raise the timeout under ⚙️ Data Source.`;
+  }
+  if (error instanceof NetworkError) {
+    return `Could not reach ${host}. Check your internet connection and the API URL under ⚙️ Data Source.`;
+  }
+  if (error instanceof HttpStatusError) {
+    if (error.status === 401 || error.status === 403) {
+      return `${host} refused access (HTTP ${error.status}). Check the auth token under ⚙️ Data Source.`;
+    }
+    if (error.status === 404) {
+      return `${host} has no tasks API at this URL (HTTP 404). Check the API URL under ⚙️ Data Source.`;
+    }
+    if (error.status >= 500) {
+      return `${host} had an internal error (HTTP ${error.status}). Try again in a moment.`;
+    }
+  }
+  return error.message || 'Failed to load tasks from the server.';
+}
+
+/**
+ * Show progress text under the loading spinner
+ * @param {string} text
+ */
+function setLoadingText(text) {
+  document.getElementById('loading-text').textContent = text;
+}
+
 /**
  * Hide error state
  */
@@ -181,6 +324,11 @@ function initializeRetry() {
     hideError();
     await loadTasks();
   });
+
+  const cancelBtn = document.getElementById('cancel-loading-btn');
+  cancelBtn.addEventListener('click', () => {
+    if (loadController) loadController.abort();
+  });
 }
 
 /**
@@ -189,31 +337,48 @@ function initializeRetry() {
 function initializeAutoSave() {
   setInterval(() => {
     if (hasUnsavedChanges()) {
-      saveToLocalStorage();
+      saveTasks();
       updateDataStatus('local', 'Auto-saved to local storage');
-      console.log('Auto-saved data to localStorage');
+      console.log('Auto-saved tasks');
     }
   }, 30000); // Auto-save every 30 seconds if there are changes
 }
 
 /**
- * Load tasks with smart persistence strategy
+ * Cancels the load in progress, if any.
+ * @type {AbortController|null}
+ */
+let loadController = null;
+
+/**
+ * Load the saved tasks, then sync the API board with the server
  */
 async function loadTasks() {
-  // First, try to load from localStorage for immediate display
-  const hasLocalData = loadFromLocalStorage();
+  // A new load replaces one still in progress, e.g. when Retry is clicked again or the board changes
+  if (loadController) loadController.abort();
+  const controller = new AbortController();
+  loadController = controller;
+
+  // First, load the saved tasks for immediate display
+  const hasLocalData = await loadSavedTasks();
+  if (loadController !== controller) return; // Another board was opened meanwhile
+  const migrationError = getMigrationError();
+  if (migrationError) {
+    alert(`Error upgrading saved tasks: ${migrationError.message}\nA backup of the saved tasks was kept, and the upgrade will be tried again next time.`);
+  }
+
+  // Boards created by the user, and every board in local only mode, are only saved locally
+  renderDiagnosticsButton();
+  if (!isApiBoard() || !isRemoteEnabled()) {
+    renderTasks();
+    updateDataStatus('local', hasLocalData ? 'Loaded from local storage' : 'No local data yet');
+    return;
+  }
   
   if (hasLocalData) {
-    // Render tasks immediately from localStorage
+    // Render the saved tasks immediately, then merge in changes from the server
     renderTasks();
     updateDataStatus('local', 'Loaded from local storage');
-    
-    // Check if there are unsaved local changes
-    if (hasUnsavedChanges()) {
-      console.log('Local changes detected, keeping local data');
-      updateDataStatus('local', 'Using local data (unsaved changes)');
-      return; // Keep local changes, don't overwrite with API data
-    }
   } else {
     updateDataStatus('loading', 'No local data, loading from API...');
   }
@@ -222,33 +387,82 @@ async function loadTasks() {
   showLoading();
   
   try {
-    // Fetch fresh data from API
-    await loadTasksFromAPI();
+    const resolveConflicts = conflicts => {
+      hideLoading(); // The overlay would cover the dialog
+      return showConflictDialog(conflicts);
+    };
+    const result = await syncTasks(resolveConflicts, {
+      signal: controller.signal,
+      onRetry: (attempt) => {
+        setLoadingText(`Server not responding, retrying (${attempt} of ${getApiConfig().maxRetries})...`);
+      },
+    });
+    if (loadController !== controller) return; // Another board was opened meanwhile
     renderTasks();
+    renderDiagnosticsButton();
     hideLoading();
-    updateDataStatus('api', 'Synced with server');
+    const readOnly = getApiConfig().mode !== 'readwrite';
+    const summary = result.pushed ? ` (${result.pushed} change(s) sent)` : '';
+    updateDataStatus('api', readOnly ? 'Loaded from server (read-only)' : `Synced with server${summary}`);
   } catch (error) {
+    // Replaced by a newer load, which now owns the loading state
+    if (loadController !== controller) return;
     console.error('Failed to load tasks from API:', error);
     
     if (!hasLocalData) {
       // If no local data and API failed, show error
-      showError(error.message || 'Failed to load tasks from the server.');
+      showError(error);
       updateDataStatus('error', 'Failed to load data');
     } else {
       // If we have local data, just hide loading and keep local data
+      renderTasks(); // A sync that failed while sending may have merged remote changes
       hideLoading();
       console.log('Using local data due to API failure');
-      updateDataStatus('local', 'Using local data (API unavailable)');
+      const reason = error instanceof CancelledError ? 'loading cancelled' : 'API unavailable';
+      updateDataStatus('local', `Using local data (${reason})`);
+      replayOutbox(); // Keeps retrying queued changes until the server is back
     }
   }
 }
 
+/**
+ * Switch to another board and load its tasks.
+ * Task changes are saved as they are made, so there is nothing to flush first.
+ * @param {number} boardId
+ */
+async function switchBoard(boardId) {
+  if (!setActiveBoard(boardId)) return;
+  loadLabelFilter(getLabels().map(label => label.id));
+  loadHistory();
+  document.getElementById('mobile-menu-overlay').classList.remove('show');
+  hideError();
+  renderBoards();
+  await loadTasks();
+}
+
 window.addEventListener('DOMContentLoaded', async () => {
+  loadApiConfig();
+  loadBoards();
+  loadLabelFilter(getLabels().map(label => label.id));
+  loadHistory();
+  initializeBoardNav(switchBoard);
   initializeThemeToggle();
   initializeSidebarToggle();
   initializeMobileMenu();
   initializeRetry();
   initializeAutoSave();
+  initializeDragAndDrop();
+  initializeDueFilter();
+  initializeSearch();
+  initializeUndoShortcuts();
+  initializeOutbox();
+  initializeDiagnostics();
+  initializeBackups();
+  initializeTransfer();
+  initializeSettings(() => {
+    hideError();
+    loadTasks();
+  });
 
   // Load tasks with smart persistence strategy
   await loadTasks();
@@ -0,0 +1,312 @@
+/**
+ * @file server.mjs
+ * @description Local tasks API with file-backed storage, for self-hosting the board
+ * and testing writes offline. Also serves the front-end from the repository root.
+ *
+ * Usage: node server/server.mjs
+ * Environment: PORT (default 3000), KANBAN_DATA_FILE (default server/tasks.json)
+ *
+ * Endpoints, all below /api:
+ *   GET    /            List tasks (same shape as the public read-only API)
+ *   GET    /tasks       List tasks
+ *   POST   /tasks       Create a task
+ *   GET    /tasks/:id   Get a task
+ *   PUT    /tasks/:id   Replace a task, creating it if it does not exist
+ *   PATCH  /tasks/:id   Change some fields of a task
+ *   DELETE /tasks/:id   Delete a task
+ */
+
+import http from 'node:http';
+import { readFile, writeFile, rename, stat } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { initialTasks } from '../initialData.js';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const PORT = Number(process.env.PORT) || 3000;
+const DATA_FILE = path.resolve(process.env.KANBAN_DATA_FILE || path.join(ROOT_DIR, 'server', 'tasks.json'));
+const API_PREFIX = '/api';
+
+/**
+ * Directories of the repository served as is, besides the front-end files at its root.
+ */
+const STATIC_DIRS = ['assets'];
+
+/**
+ * Front-end files at the root of the repository: the page, its styles and its scripts.
+ */
+const STATIC_ROOT_FILE = /^[\w-]+\.(html|css|js)$/;
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.json': 'application/json; charset=utf-8',
+};
+
+/**
+ * Error carrying the HTTP status to answer with.
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} status
+   * @param {string} message
+   */
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Tasks currently stored, loaded once at startup.
+ * @type {Array<Object>}
+ */
+let tasks = [];
+
+/**
+ * Pending write, so concurrent requests save one after another.
+ * @type {Promise<void>}
+ */
+let writeQueue = Promise.resolve();
+
+/**
+ * Load tasks from the data file, seeding it with the initial tasks on first run.
+ */
+async function loadTasks() {
+  try {
+    tasks = JSON.parse(await readFile(DATA_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    tasks = JSON.parse(JSON.stringify(initialTasks));
+    await saveTasks();
+  }
+}
+
+/**
+ * Write tasks to the data file. Writes go to a temporary file first so a crash
+ * never leaves a half-written data file.
+ * @returns {Promise<void>}
+ */
+function saveTasks() {
+  const data = JSON.stringify(tasks, null, 2);
+  writeQueue = writeQueue.then(async () => {
+    const tempFile = `${DATA_FILE}.tmp`;
+    await writeFile(tempFile, data);
+    await rename(tempFile, DATA_FILE);
+  });
+  return writeQueue;
+}
+
+/**
+ * Check a task body sent by a client.
+ * @param {Object} body
+ * @param {boolean} partial - PATCH bodies may omit fields
+ */
+function validateTask(body, partial) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new HttpError(400, 'Request body must be a JSON object.');
+  }
+  if (!partial || 'title' in body) {
+    if (typeof body.title !== 'string' || !body.title.trim()) {
+      throw new HttpError(400, 'Task title is required.');
+    }
+  }
+  if ('status' in body && typeof body.status !== 'string') {
+    throw new HttpError(400, 'Task status must be a string.');
+  }
+}
+
+/**
+ * Find a task by the ID in a URL. IDs are numbers but compared as strings.
+ * @param {string} id
+ * @returns {number} Index of the task
+ */
+function findTaskIndex(id) {
+  const index = tasks.findIndex(task => String(task.id) === id);
+  if (index === -1) {
+    throw new HttpError(404, `Task ${id} not found.`);
+  }
+  return index;
+}
+
+/**
+ * Read and parse a JSON request body.
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<any>}
+ */
+async function readJsonBody(req) {
+  let raw = '';
+  for await (const chunk of req) {
+    raw += chunk;
+    if (raw.length > 1e6) throw new HttpError(413, 'Request body too large.');
+  }
+  try {
+    return raw ? JSON.parse(raw) : {};
+  } catch {
+    throw new HttpError(400, 'Request body is not valid JSON.');
+  }
+}
+
+/**
+ * Decode a percent-encoded URL path or path segment.
+ * @param {string} text
+ * @param {number} status - Status to answer when the encoding is malformed, e.g. "%E0"
+ * @returns {string}
+ */
+function decodePath(text, status) {
+  try {
+    return decodeURIComponent(text);
+  } catch {
+    throw new HttpError(status, status === 404 ? 'Not found.' : 'Malformed URL.');
+  }
+}
+
+/**
+ * Send a JSON response, or an empty one for 204.
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {any} [body]
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, body === undefined ? {} : { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+/**
+ * Handle a request below /api.
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {string} route - Path with the /api prefix removed
+ */
+async function handleApi(req, res, route) {
+  const match = /^\/tasks\/([^/]+)$/.exec(route);
+  const id = match && decodePath(match[1], 400);
+
+  if ((route === '/' || route === '' || route === '/tasks') && req.method === 'GET') {
+    return sendJson(res, 200, tasks);
+  }
+
+  if (route === '/tasks' && req.method === 'POST') {
+    const body = await readJsonBody(req);
+    validateTask(body, false);
+
+    // Keep client-generated IDs so offline-created tasks keep their identity
+    const taken = tasks.some(task => String(task.id) === String(body.id));
+    const task = { ...body, id: body.id !== undefined && !taken ? body.id : Date.now() };
+    tasks.push(task);
+    await saveTasks();
+    return sendJson(res, 201, task);
+  }
+
+  if (id !== null && req.method === 'GET') {
+    return sendJson(res, 200, tasks[findTaskIndex(id)]);
+  }
+
+  if (id !== null && req.method === 'PUT') {
+    const body = await readJsonBody(req);
+    validateTask(body, false);
+    if (body.id !== undefined && String(body.id) !== id) {
+      throw new HttpError(400, `The body's ID ${body.id} does not match the task ${id} of the URL.`);
+    }
+
+    const index = tasks.findIndex(task => String(task.id) === id);
+    if (index === -1) {
+      const task = { ...body, id: body.id !== undefined ? body.id : Number(id) };
+      tasks.push(task);
+      await saveTasks();
+      return sendJson(res, 201, task);
+    }
+    tasks[index] = { ...body, id: tasks[index].id };
+    await saveTasks();
+    return sendJson(res, 200, tasks[index]);
+  }
+
+  if (id !== null && req.method === 'PATCH') {
+    const body = await readJsonBody(req);
+    validateTask(body, true);
+
+    const index = findTaskIndex(id);
+    tasks[index] = { ...tasks[index], ...body, id: tasks[index].id };
+    await saveTasks();
+    return sendJson(res, 200, tasks[index]);
+  }
+
+  if (id !== null && req.method === 'DELETE') {
+    const index = findTaskIndex(id);
+    tasks.splice(index, 1);
+    await saveTasks();
+    return sendJson(res, 204);
+  }
+
+  throw new HttpError(404, `No route for ${req.method} ${API_PREFIX}${route}`);
+}
+
+/**
+ * Whether a file may be served: only the front-end, never the server, its data, git or editor files.
+ * @param {string} filePath - Absolute path
+ * @returns {boolean}
+ */
+function isStaticFile(filePath) {
+  const segments = path.relative(ROOT_DIR, filePath).split(path.sep);
+  if (segments.some(segment => !segment || segment.startsWith('.'))) return false;
+  if (segments.length === 1) return STATIC_ROOT_FILE.test(segments[0]);
+  return STATIC_DIRS.includes(segments[0]);
+}
+
+/**
+ * Serve a file of the front-end.
+ * @param {http.ServerResponse} res
+ * @param {string} pathname
+ */
+async function serveStatic(res, pathname) {
+  const filePath = path.resolve(ROOT_DIR, `.${pathname === '/' ? '/index.html' : pathname}`);
+  if (!filePath.startsWith(ROOT_DIR + path.sep) || !isStaticFile(filePath)) {
+    throw new HttpError(404, 'Not found.');
+  }
+
+  try {
+    if (!(await stat(filePath)).isFile()) throw new HttpError(404, 'Not found.');
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    throw new HttpError(404, 'Not found.');
+  }
+
+  const type = CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream';
+  res.writeHead(200, { 'Content-Type': type });
+  res.end(await readFile(filePath));
+}
+
+const server = http.createServer(async (req, res) => {
+  // Allow a front-end hosted elsewhere to use this API
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  try {
+    if (req.method === 'OPTIONS') {
+      return sendJson(res, 204);
+    }
+
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname === API_PREFIX || pathname.startsWith(`${API_PREFIX}/`)) {
+      await handleApi(req, res, pathname.slice(API_PREFIX.length));
+    } else if (req.method === 'GET') {
+      await serveStatic(res, decodePath(pathname, 404));
+    } else {
+      throw new HttpError(405, 'Method not allowed.');
+    }
+  } catch (error) {
+    if (!(error instanceof HttpError)) console.error(error);
+    const status = error instanceof HttpError ? error.status : 500;
+    sendJson(res, status, { error: error instanceof HttpError ? error.message : 'Internal server error.' });
+  }
+});
+
+await loadTasks();
+server.listen(PORT, () => {
+  console.log(`Kanban board: http://localhost:${PORT}/`);
+  console.log(`Tasks API:    http://localhost:${PORT}${API_PREFIX} (data in ${DATA_FILE})`);
+});
@@ -1,64 +1,526 @@
 /**
  * @file storage.js
- * @description Provides localStorage save/load functions for tasks.
+ * @description Saves and loads the active board's tasks in IndexedDB, and keeps the outbox
+ * of task writes waiting for the server to be reachable.
  */
 
-import { tasks, refreshTaskMap } from './tasks.js';
+import { tasks, taskMap, refreshTaskMap, ensureTaskPositions } from './tasks.js';
+import { getActiveBoard, getBoardStorageKey, DEFAULT_BOARD_ID } from './boards.js';
+import { getApiConfig, sendQueuedWrite, isRetryableError } from './api.js';
+import { readBoardData, writeBoardData, deleteBoardData, addBackup, readBackups } from './database.js';
 
 /**
- * Saves the current tasks array to localStorage.
+ * Version of the saved task data. Bump it and add a step to MIGRATIONS whenever the shape
+ * of saved tasks changes. Data saved before versions were recorded is version 1.
+ * @type {number}
  */
-export function saveToLocalStorage() {
-  localStorage.setItem('tasks', JSON.stringify(tasks));
-  localStorage.setItem('lastSaved', Date.now().toString());
+export const SCHEMA_VERSION = 2;
+
+/**
+ * Steps upgrading saved tasks, oldest first. Each one gets the tasks as saved in version
+ * `from` and returns them as of version `from + 1`.
+ * @type {Array<{from: number, description: string, migrate: (savedTasks: Array<Object>) => Array<Object>}>}
+ */
+const MIGRATIONS = [
+  {
+    from: 1,
+    description: 'Give every task the subtasks, due date and labels fields',
+    migrate: savedTasks => savedTasks.map(task => ({
+      ...task,
+      subtasks: Array.isArray(task.subtasks) ? task.subtasks : [],
+      dueDate: task.dueDate || null,
+      labels: Array.isArray(task.labels) ? task.labels : [],
+    })),
+  },
+];
+
+/**
+ * Backups kept of a board's most recent saves.
+ * @type {number}
+ */
+const SAVE_BACKUPS_KEPT = 20;
+
+/**
+ * Daily backups kept of a board, taken at its first save of each day.
+ * @type {number}
+ */
+const DAILY_BACKUPS_KEPT = 30;
+
+/**
+ * Problem found upgrading the active board's saved tasks, if its last load hit one.
+ * @type {Error|null}
+ */
+let migrationError = null;
+
+/**
+ * What is saved of the board whose tasks are loaded, so a save only writes the tasks that changed.
+ * `tasks` maps task IDs to their saved JSON. After a failed write the saved state is unknown,
+ * and the next save rewrites the whole board.
+ * `schemaVersion` is the version the tasks are saved as, lower than SCHEMA_VERSION if upgrading them failed.
+ * @type {{boardId: number|null, tasks: Map<number, string>, lastSaved: number|null, lastModified: number|null, schemaVersion: number, stale: boolean}}
+ */
+let savedState = emptySavedState();
+
+/**
+ * Saved state of no board, so nothing is saved.
+ * @returns {Object}
+ */
+function emptySavedState() {
+  return { boardId: null, tasks: new Map(), lastSaved: null, lastModified: null, schemaVersion: SCHEMA_VERSION, stale: false };
 }
 
 /**
- * Loads tasks from localStorage into the tasks array.
- * If no stored data, does nothing.
- * @returns {boolean} True if data was loaded from localStorage
+ * Pending database work, so writes are applied in the order they were made.
+ * @type {Promise<any>}
  */
-export function loadFromLocalStorage() {
-  const stored = localStorage.getItem('tasks');
-  if (stored) {
-    try {
-      const parsed = JSON.parse(stored);
-      tasks.length = 0; // Clear existing
-      parsed.forEach(task => tasks.push(task));
-      refreshTaskMap(); // Update the taskMap after loading
+let writeQueue = Promise.resolve();
+
+/**
+ * Saves the tasks array under the board it was loaded for. Only tasks that changed
+ * since the last save are written, in a single transaction.
+ * @returns {Promise<boolean>} Promise that resolves to true if the tasks were saved
+ */
+export function saveTasks() {
+  const { boardId } = savedState;
+  if (boardId === null) return Promise.resolve(false);
+
+  const current = new Map(tasks.map(task => [task.id, JSON.stringify(task)]));
+  const replace = savedState.stale;
+  const put = [];
+  current.forEach((json, id) => {
+    if (replace || savedState.tasks.get(id) !== json) put.push(JSON.parse(json));
+  });
+  const remove = [...savedState.tasks.keys()].filter(id => !current.has(id));
+  const changed = replace || put.length > 0 || remove.length > 0;
+  const previousSave = savedState.lastSaved;
+
+  savedState.tasks = current;
+  savedState.lastSaved = Date.now();
+  savedState.stale = false;
+  const firstSaveToday = !previousSave
+    || new Date(previousSave).toDateString() !== new Date(savedState.lastSaved).toDateString();
+  const schemaVersion = savedState.schemaVersion;
+  const meta = {
+    lastSaved: savedState.lastSaved,
+    lastModified: savedState.lastModified,
+    order: tasks.map(task => task.id),
+    schemaVersion,
+  };
+  const snapshot = [...current.values()].map(json => JSON.parse(json));
+
+  writeQueue = writeQueue
+    .then(() => writeBoardData(boardId, { put, remove, meta, replace }))
+    .then(async () => {
+      if (changed) await backUpTasks(boardId, snapshot, schemaVersion, firstSaveToday);
       return true;
-    } catch (error) {
-      console.error('Error parsing stored tasks:', error);
+    }, error => {
+      console.error('Error saving tasks:', error);
+      if (savedState.boardId === boardId) savedState.stale = true;
       return false;
+    });
+  return writeQueue;
+}
+
+/**
+ * Keeps a backup of the tasks just saved, among the last SAVE_BACKUPS_KEPT saves,
+ * and a daily one at the first save of the day. Failing to back up does not fail the save.
+ * @param {number} boardId
+ * @param {Array<Object>} snapshot - Tasks as saved
+ * @param {number} schemaVersion
+ * @param {boolean} daily - Whether to take the daily backup too
+ * @returns {Promise<void>}
+ */
+async function backUpTasks(boardId, snapshot, schemaVersion, daily) {
+  try {
+    await addBackup(boardId, { reason: 'save', schemaVersion, tasks: snapshot }, SAVE_BACKUPS_KEPT);
+    if (daily) {
+      await addBackup(boardId, { reason: 'daily', schemaVersion, tasks: snapshot }, DAILY_BACKUPS_KEPT);
     }
+  } catch (error) {
+    console.error('Error backing up tasks:', error);
   }
-  return false;
+}
+
+/**
+ * Moves a board's tasks saved in localStorage by earlier versions into the database,
+ * then removes them from localStorage. Data that cannot be parsed is left where it is.
+ * @param {number} boardId
+ * @returns {Promise<boolean>} Promise that resolves to true if tasks were migrated
+ */
+async function migrateFromLocalStorage(boardId) {
+  const stored = localStorage.getItem(getBoardStorageKey('tasks', boardId));
+  if (stored === null) return false;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(stored);
+    if (!Array.isArray(parsed)) throw new Error('Stored tasks are not a list.');
+  } catch (error) {
+    console.error('Error parsing stored tasks, leaving them in localStorage:', error);
+    return false;
+  }
+
+  const migrated = parsed.filter(task => task && (typeof task.id === 'number' || typeof task.id === 'string'));
+  const lastModified = parseInt(localStorage.getItem(getBoardStorageKey('lastModified', boardId)));
+  const meta = {
+    lastSaved: parseInt(localStorage.getItem(getBoardStorageKey('lastSaved', boardId))) || Date.now(),
+    lastModified: Number.isNaN(lastModified) ? null : lastModified,
+    order: migrated.map(task => task.id),
+    schemaVersion: 1, // Saved before schema versions were recorded
+  };
+  await writeBoardData(boardId, { put: migrated, meta, replace: true });
+
+  ['tasks', 'lastSaved', 'lastModified'].forEach(name => {
+    localStorage.removeItem(getBoardStorageKey(name, boardId));
+  });
+  console.log(`Moved ${migrated.length} task(s) of board ${boardId} from localStorage to IndexedDB`);
+  return true;
+}
+
+/**
+ * Runs the migrations from a schema version up to SCHEMA_VERSION, one step at a time.
+ * Stops at the first step that fails, with the tasks as upgraded so far.
+ * @param {Array<Object>} savedTasks
+ * @param {number} version - Version the tasks are saved as
+ * @returns {{tasks: Array<Object>, version: number, error: Error|null}} The tasks and the version they reached
+ */
+export function migrateTasks(savedTasks, version) {
+  let migrated = savedTasks;
+  for (const step of MIGRATIONS) {
+    if (step.from < version) continue;
+    try {
+      // Steps work on a copy, so a step failing halfway leaves the tasks as they were
+      const result = step.migrate(JSON.parse(JSON.stringify(migrated)));
+      if (!Array.isArray(result)) {
+        throw new Error('The migration did not return a list of tasks.');
+      }
+      migrated = result;
+      version = step.from + 1;
+    } catch (error) {
+      const reason = new Error(`Upgrading saved tasks to version ${step.from + 1} (${step.description}) failed: ${error.message}`);
+      return { tasks: migrated, version, error: reason };
+    }
+  }
+  return { tasks: migrated, version, error: null };
+}
+
+/**
+ * Upgrades a board's saved tasks to the current schema version and saves the result.
+ * If a step fails, a backup of the tasks as they were is kept once per version, and the
+ * tasks are loaded as upgraded so far; the failed step runs again on the next load.
+ * @param {number} boardId
+ * @param {{tasks: Array<Object>, meta: Object}} data - Saved tasks and board bookkeeping
+ * @returns {Promise<{tasks: Array<Object>, meta: Object}>}
+ */
+async function upgradeSavedBoard(boardId, data) {
+  const fromVersion = data.meta.schemaVersion || 1;
+  const { tasks: migrated, version, error } = migrateTasks(data.tasks, fromVersion);
+
+  if (error) {
+    console.error(`Error upgrading the saved tasks of board ${boardId}:`, error);
+    const backups = await readBackups(boardId);
+    const backedUp = backups.some(backup => backup.reason === 'migration' && backup.schemaVersion === fromVersion);
+    if (!backedUp) {
+      await addBackup(boardId, { reason: 'migration', schemaVersion: fromVersion, tasks: data.tasks });
+    }
+    if (getActiveBoard().id === boardId) migrationError = error;
+  }
+  if (version === fromVersion) return data;
+
+  const meta = { ...data.meta, order: migrated.map(task => task.id), schemaVersion: version };
+  await writeBoardData(boardId, { put: migrated, meta, replace: true });
+  console.log(`Upgraded the saved tasks of board ${boardId} from version ${fromVersion} to ${version}`);
+  return { tasks: migrated, meta };
+}
+
+/**
+ * Reads a board's saved tasks, migrating them from localStorage the first time
+ * and upgrading them if they were saved with an older schema version.
+ * @param {number} boardId
+ * @returns {Promise<{tasks: Array<Object>, meta: Object|null}>}
+ */
+async function readSavedBoard(boardId) {
+  await writeQueue; // Read what the pending saves write
+  let data = await readBoardData(boardId);
+  if (data.meta === null && await migrateFromLocalStorage(boardId)) {
+    data = await readBoardData(boardId);
+  }
+  if (data.meta && (data.meta.schemaVersion || 1) < SCHEMA_VERSION) {
+    data = await upgradeSavedBoard(boardId, data);
+  }
+  return data;
+}
+
+/**
+ * Gets the problem found upgrading the active board's saved tasks when they were last loaded.
+ * @returns {Error|null} Null if the tasks are up to date
+ */
+export function getMigrationError() {
+  return migrationError;
+}
+
+/**
+ * Loads the active board's saved tasks into the tasks array.
+ * If no stored data, the tasks array is emptied so another board's tasks don't linger.
+ * @returns {Promise<boolean>} Promise that resolves to true if saved data was loaded
+ */
+export async function loadSavedTasks() {
+  const boardId = getActiveBoard().id;
+  migrationError = null;
+  let savedTasks, meta;
+  try {
+    ({ tasks: savedTasks, meta } = await readSavedBoard(boardId));
+  } catch (error) {
+    console.error('Error loading saved tasks:', error);
+    if (getActiveBoard().id !== boardId) return false;
+    // Nothing is saved until the board is read, so its saved tasks are never overwritten
+    tasks.length = 0;
+    refreshTaskMap();
+    savedState = emptySavedState();
+    return false;
+  }
+  // Another board was opened while reading; its own load fills the tasks array
+  if (getActiveBoard().id !== boardId) return false;
+
+  tasks.length = 0; // Clear existing
+  savedTasks.forEach(task => tasks.push(task));
+  ensureTaskPositions(); // Data saved before manual ordering has no positions
+  refreshTaskMap(); // Update the taskMap after loading
+
+  savedState = {
+    boardId,
+    tasks: new Map(savedTasks.map(task => [task.id, JSON.stringify(task)])),
+    lastSaved: meta ? meta.lastSaved : null,
+    lastModified: meta ? meta.lastModified : null,
+    schemaVersion: meta ? meta.schemaVersion || 1 : SCHEMA_VERSION,
+    stale: false,
+  };
+  return meta !== null;
+}
+
+/**
+ * Deletes everything saved for a board, e.g. once the board is deleted.
+ * @param {number} boardId
+ * @returns {Promise<void>}
+ */
+export function deleteSavedTasks(boardId) {
+  if (savedState.boardId === boardId) {
+    savedState = emptySavedState();
+  }
+  writeQueue = writeQueue
+    .then(() => deleteBoardData(boardId))
+    .catch(error => console.error('Error deleting saved tasks:', error));
+  return writeQueue;
 }
 
 /**
  * Gets the timestamp of when data was last saved
- * @returns {number|null} Timestamp or null if not found
+ * @returns {number|null} Timestamp or null if the board was never saved
  */
 export function getLastSavedTime() {
-  const lastSaved = localStorage.getItem('lastSaved');
-  return lastSaved ? parseInt(lastSaved) : null;
+  return savedState.lastSaved;
 }
 
 /**
- * Checks if there are any local changes that haven't been synced
+ * Checks if there are any local changes that haven't been saved
  * @returns {boolean} True if there are unsaved changes
  */
 export function hasUnsavedChanges() {
-  const lastSaved = getLastSavedTime();
-  const lastModified = localStorage.getItem('lastModified');
+  const { lastSaved, lastModified } = savedState;
   if (!lastSaved || !lastModified) return false;
   
-  return parseInt(lastModified) > lastSaved;
+  return lastModified > lastSaved;
 }
 
 /**
  * Marks that local data has been modified
  */
 export function markAsModified() {
-  localStorage.setItem('lastModified', Date.now().toString());
-}
\ No newline at end of file
+  savedState.lastModified = Date.now();
+}
+
+/**
+ * First delay before replaying the outbox again after the server could not be reached.
+ * Doubles after each failed attempt, up to OUTBOX_MAX_RETRY_DELAY.
+ * @type {number}
+ */
+const OUTBOX_RETRY_DELAY = 2000;
+
+/** @type {number} */
+const OUTBOX_MAX_RETRY_DELAY = 5 * 60 * 1000;
+
+/**
+ * Failed replay attempts in a row, for the backoff delay.
+ * @type {number}
+ */
+let replayAttempts = 0;
+
+/** @type {number|null} */
+let replayTimer = null;
+
+/**
+ * Whether the outbox is being replayed, so replays never overlap.
+ * @type {boolean}
+ */
+let replaying = false;
+
+/**
+ * Called with the outbox counts whenever they change.
+ * @type {((counts: {pending: number, failed: number}) => void) | null}
+ */
+let outboxListener = null;
+
+/**
+ * Gets the outbox: task writes that could not be sent to the server yet.
+ * Only the API board writes to the server, so the outbox belongs to it whichever board is active.
+ * Writes the server rejected stay in the outbox marked as failed, so they can be shown.
+ * @returns {Array<{id: string, type: string, taskId: number, queuedAt: number, failed?: boolean, error?: string}>}
+ *   Oldest first
+ */
+export function getPendingOperations() {
+  const stored = localStorage.getItem(getBoardStorageKey('pendingOperations', DEFAULT_BOARD_ID));
+  if (!stored) return [];
+
+  try {
+    return JSON.parse(stored);
+  } catch (error) {
+    console.error('Error parsing pending operations:', error);
+    return [];
+  }
+}
+
+/**
+ * Saves the outbox and tells the listener about the new counts.
+ * @param {Array<Object>} operations
+ */
+function savePendingOperations(operations) {
+  const key = getBoardStorageKey('pendingOperations', DEFAULT_BOARD_ID);
+  if (operations.length) {
+    localStorage.setItem(key, JSON.stringify(operations));
+  } else {
+    localStorage.removeItem(key);
+  }
+  if (outboxListener) outboxListener(getOutboxCounts());
+}
+
+/**
+ * Counts the writes waiting in the outbox and those the server rejected.
+ * @returns {{pending: number, failed: number}}
+ */
+export function getOutboxCounts() {
+  const operations = getPendingOperations();
+  const failed = operations.filter(operation => operation.failed).length;
+  return { pending: operations.length - failed, failed };
+}
+
+/**
+ * Sets the function called with the outbox counts whenever they change.
+ * @param {(counts: {pending: number, failed: number}) => void} listener
+ */
+export function setOutboxListener(listener) {
+  outboxListener = listener;
+}
+
+/**
+ * Queues a task write that could not be sent to the server, and schedules a replay.
+ * Only the task ID is kept: the task's current state is sent when the write is replayed,
+ * so an update already waiting for the same task covers later ones.
+ * @param {string} type - 'create', 'update' or 'delete'
+ * @param {number} taskId
+ */
+export function queuePendingOperation(type, taskId) {
+  const operations = getPendingOperations();
+  const covered = type === 'update' && operations.some(operation =>
+    operation.taskId === taskId && !operation.failed && operation.type !== 'delete'
+  );
+  if (!covered) {
+    operations.push({
+      id: `op-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      type,
+      taskId,
+      queuedAt: Date.now(),
+    });
+    savePendingOperations(operations);
+  }
+  scheduleReplay();
+}
+
+/**
+ * Removes writes from the outbox once the server has their changes, e.g. after a full sync.
+ * Writes queued since are kept.
+ * @param {Array<{id: string}>} operations - Writes taken from getPendingOperations
+ */
+export function clearPendingOperations(operations) {
+  const sentIds = new Set(operations.map(operation => operation.id));
+  savePendingOperations(getPendingOperations().filter(operation => !sentIds.has(operation.id)));
+  replayAttempts = 0;
+}
+
+/**
+ * Find the current state of a task of the API board.
+ * @param {number} taskId
+ * @returns {Promise<Object|null>} The task, or null if it was deleted since
+ */
+async function findApiBoardTask(taskId) {
+  if (savedState.boardId === DEFAULT_BOARD_ID) return taskMap[taskId] || null;
+
+  const { tasks: savedTasks } = await readSavedBoard(DEFAULT_BOARD_ID);
+  return savedTasks.find(task => task.id === taskId) || null;
+}
+
+/**
+ * Replay the outbox after a delay that doubles with every failed attempt.
+ * Does nothing while the browser is offline; the 'online' event replays it then.
+ */
+function scheduleReplay() {
+  if (replayTimer !== null || !navigator.onLine) return;
+
+  const delay = Math.min(OUTBOX_RETRY_DELAY * 2 ** replayAttempts, OUTBOX_MAX_RETRY_DELAY);
+  replayTimer = setTimeout(() => {
+    replayTimer = null;
+    replayOutbox();
+  }, delay);
+}
+
+/**
+ * Sends the outbox's writes to the server, oldest first. Stops at the first write that
+ * cannot reach the server and tries again later; writes the server rejects are marked as failed.
+ * @returns {Promise<boolean>} Promise that resolves to true if no write is left pending
+ */
+export async function replayOutbox() {
+  if (replaying || !navigator.onLine || getApiConfig().mode !== 'readwrite') return false;
+  clearTimeout(replayTimer);
+  replayTimer = null;
+  replaying = true;
+
+  try {
+    for (const operation of getPendingOperations()) {
+      if (operation.failed) continue;
+
+      try {
+        const task = operation.type === 'delete' ? null : await findApiBoardTask(operation.taskId);
+        // A task deleted after the write was queued has its own delete further on
+        if (operation.type === 'delete' || task) {
+          await sendQueuedWrite(operation.type, operation.taskId, task);
+        }
+        // Re-read the outbox, as writes may have been queued while this one was sent
+        savePendingOperations(getPendingOperations().filter(queued => queued.id !== operation.id));
+      } catch (error) {
+        if (isRetryableError(error)) {
+          console.warn('Server unreachable, will replay queued changes later:', error);
+          replayAttempts++;
+          scheduleReplay();
+          return false;
+        }
+        console.error(`Server rejected queued ${operation.type} of task ${operation.taskId}:`, error);
+        savePendingOperations(getPendingOperations().map(queued =>
+          queued.id === operation.id ? { ...queued, failed: true, error: error.message } : queued
+        ));
+      }
+    }
+    replayAttempts = 0;
+    return true;
+  } finally {
+    replaying = false;
+  }
+}
@@ -0,0 +1,258 @@
+/**
+ * @file sync.js
+ * @description Two-way sync of the API board. Local and remote tasks are merged field by field
+ * against the last state both sides agreed on (the sync base); a field changed on both sides
+ * to different values is a conflict for the user to resolve.
+ */
+
+import { fetchTasks, getApiConfig, sendQueuedWrite, CancelledError } from './api.js';
+import { tasks, replaceTasks } from './tasks.js';
+import {
+  hasUnsavedChanges, getLastSavedTime, getPendingOperations, clearPendingOperations, saveTasks,
+} from './storage.js';
+import { getBoardStorageKey, DEFAULT_BOARD_ID } from './boards.js';
+import { getColumns } from './columns.js';
+import { normalizeTasks } from './validation.js';
+
+/**
+ * Task fields merged by sync. IDs never change and the other timestamps are bookkeeping.
+ * @type {string[]}
+ */
+export const SYNC_FIELDS = ['title', 'description', 'status', 'position', 'subtasks', 'dueDate', 'priority', 'labels', 'doneAt'];
+
+/**
+ * Fields merged without asking: on a conflict the most recently modified side wins.
+ * Positions change on every drag, so asking about them would only get in the way;
+ * the completion time follows the status, which is asked about.
+ * @type {string[]}
+ */
+const AUTO_RESOLVED_FIELDS = ['position', 'doneAt'];
+
+/**
+ * Fields whose change counts as an edit when the other side deleted the task.
+ * @type {string[]}
+ */
+const CONTENT_FIELDS = SYNC_FIELDS.filter(field => !AUTO_RESOLVED_FIELDS.includes(field));
+
+/**
+ * A task changed on both sides in incompatible ways.
+ * 'edit' conflicts list the fields changed on both sides; 'deletedLocally' and
+ * 'deletedRemotely' conflicts are a deletion on one side and an edit on the other.
+ * @typedef {{id: number, kind: string, local: Object|null, remote: Object|null, fields: string[]}} SyncConflict
+ */
+
+/**
+ * Saves the tasks both sides agree on after a sync. Only the API board syncs,
+ * so the base is stored under it even if another board was opened during the sync.
+ * @param {Array<Object>} baseTasks
+ */
+function saveSyncBase(baseTasks) {
+  localStorage.setItem(getBoardStorageKey('syncBase', DEFAULT_BOARD_ID), JSON.stringify(baseTasks));
+}
+
+/**
+ * Loads the sync base of the API board.
+ * @returns {Array<Object>|null} Tasks, or null if the board was never synced
+ */
+function loadSyncBase() {
+  const stored = localStorage.getItem(getBoardStorageKey('syncBase', DEFAULT_BOARD_ID));
+  if (!stored) return null;
+
+  try {
+    return JSON.parse(stored);
+  } catch (error) {
+    console.error('Error parsing sync base:', error);
+    return null;
+  }
+}
+
+/**
+ * Compare two field values. Missing values equal null.
+ * @param {any} a
+ * @param {any} b
+ * @returns {boolean}
+ */
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Whether two versions of a task have the same content.
+ * @param {Object} a
+ * @param {Object} b
+ * @param {string[]} [fields=SYNC_FIELDS] - Fields to compare
+ * @returns {boolean}
+ */
+function sameTask(a, b, fields = SYNC_FIELDS) {
+  return fields.every(field => sameValue(a[field], b[field]));
+}
+
+/**
+ * Merge the local and remote versions of a task field by field.
+ * A field changed on one side only takes that side's value.
+ * @param {Object|null} base - Version both sides last agreed on, or null if unknown
+ * @param {Object} local
+ * @param {Object} remote
+ * @returns {{merged: Object, fields: string[]}} Merged task and the fields in conflict, which keep the local value
+ */
+function mergeTask(base, local, remote) {
+  const merged = { ...remote, ...local };
+  const fields = [];
+  const localIsNewer = (local.updatedAt || 0) >= (remote.updatedAt || 0);
+
+  SYNC_FIELDS.forEach(field => {
+    if (sameValue(local[field], remote[field])) return;
+
+    if (base && sameValue(local[field], base[field])) {
+      merged[field] = remote[field];
+    } else if (base && sameValue(remote[field], base[field])) {
+      merged[field] = local[field];
+    } else if (AUTO_RESOLVED_FIELDS.includes(field)) {
+      merged[field] = localIsNewer ? local[field] : remote[field];
+    } else {
+      fields.push(field);
+    }
+  });
+
+  merged.updatedAt = Math.max(local.updatedAt || 0, remote.updatedAt || 0) || undefined;
+  return { merged, fields };
+}
+
+/**
+ * Apply the user's choice for a conflict.
+ * @param {SyncConflict} conflict
+ * @param {Object} merged - Result of mergeTask for 'edit' conflicts
+ * @param {Object<string, string>} choice - 'local' or 'remote' per field, or for the whole task under 'task'
+ * @returns {Object|null} The resolved task, or null if it should be deleted
+ */
+function resolveConflict(conflict, merged, choice) {
+  if (conflict.kind !== 'edit') {
+    return choice.task === 'remote' ? conflict.remote : conflict.local;
+  }
+
+  const resolved = { ...merged };
+  conflict.fields.forEach(field => {
+    resolved[field] = choice[field] === 'remote' ? conflict.remote[field] : conflict.local[field];
+  });
+  return resolved;
+}
+
+/**
+ * Stop a sync that was cancelled, e.g. because another board was opened meanwhile.
+ * @param {AbortSignal} [signal]
+ */
+function throwIfCancelled(signal) {
+  if (signal && signal.aborted) {
+    throw new CancelledError('The sync was cancelled.');
+  }
+}
+
+/**
+ * Sync the active board with the API. Remote changes are merged into the local tasks and,
+ * in read-write mode, local changes (including writes queued while offline) are sent to the server.
+ * @param {(conflicts: SyncConflict[]) => Promise<Array<Object<string, string>>>} resolveConflicts -
+ *   Asks the user how to resolve conflicts; resolves to one choice per conflict
+ * @param {{signal?: AbortSignal, onRetry?: Function}} [options] - Passed on to fetchTasks. Once the signal
+ *   aborts, the sync stops before changing any task, or before sending the next change to the server;
+ *   changes not sent are sent by the next sync.
+ * @returns {Promise<{pulled: number, pushed: number, conflicts: number}>} Counts of tasks changed on each side
+ */
+export async function syncTasks(resolveConflicts, options = {}) {
+  const remoteTasks = normalizeTasks(await fetchTasks(options), getColumns());
+  throwIfCancelled(options.signal);
+  let baseTasks = loadSyncBase();
+  if (getLastSavedTime() === null) {
+    // Without a local copy every task would look deleted here, so start over from the server
+    baseTasks = [];
+  } else if (!baseTasks) {
+    // Boards cached before syncing existed: an unmodified copy is what the server sent last
+    baseTasks = hasUnsavedChanges() ? [] : tasks;
+  }
+
+  const byId = list => new Map(list.map(task => [String(task.id), task]));
+  const localById = byId(tasks);
+  const remoteById = byId(remoteTasks);
+  const baseById = byId(baseTasks);
+
+  // Keep local order, then add tasks new on the server
+  const ids = [...new Set([...localById.keys(), ...remoteById.keys()])];
+  const results = new Map();
+  const conflicts = [];
+
+  ids.forEach(id => {
+    const local = localById.get(id);
+    const remote = remoteById.get(id);
+    const base = baseById.get(id) || null;
+
+    if (local && remote) {
+      const { merged, fields } = mergeTask(base, local, remote);
+      results.set(id, merged);
+      if (fields.length) conflicts.push({ id: local.id, kind: 'edit', local, remote, fields });
+    } else if (local) {
+      // Deleted on the server, or created here
+      if (!base || !sameTask(local, base, CONTENT_FIELDS)) {
+        results.set(id, local);
+        if (base) conflicts.push({ id: local.id, kind: 'deletedRemotely', local, remote: null, fields: [] });
+      }
+    } else {
+      // Deleted here, or created on the server
+      if (!base || !sameTask(remote, base, CONTENT_FIELDS)) {
+        results.set(id, remote);
+        if (base) conflicts.push({ id: remote.id, kind: 'deletedLocally', local: null, remote, fields: [] });
+      }
+    }
+  });
+
+  if (conflicts.length) {
+    const choices = await resolveConflicts(conflicts);
+    throwIfCancelled(options.signal);
+    conflicts.forEach((conflict, index) => {
+      const id = String(conflict.id);
+      const resolved = resolveConflict(conflict, results.get(id), choices[index] || {});
+      if (resolved) {
+        results.set(id, resolved);
+      } else {
+        results.delete(id);
+      }
+    });
+  }
+
+  const mergedTasks = [...results.values()];
+  const pulled = ids.filter(id => {
+    const local = localById.get(id);
+    const result = results.get(id);
+    return local && result ? !sameTask(local, result) : Boolean(local) !== Boolean(result);
+  }).length;
+
+  // Keep the merge locally before sending anything, so a failed push is retried by the next sync
+  replaceTasks(mergedTasks);
+  await saveTasks();
+  saveSyncBase(remoteTasks);
+
+  let pushed = 0;
+  if (getApiConfig().mode === 'readwrite') {
+    // Sent to the API board's server even if another board is opened meanwhile;
+    // the outbox covers these writes until every one is sent
+    const queued = getPendingOperations();
+    const { signal } = options;
+    for (const task of mergedTasks) {
+      const remote = remoteById.get(String(task.id));
+      if (!remote || !sameTask(remote, task)) {
+        throwIfCancelled(signal);
+        await sendQueuedWrite('update', task.id, task, { signal });
+        pushed++;
+      }
+    }
+    for (const [id, remote] of remoteById) {
+      if (!results.has(id)) {
+        throwIfCancelled(signal);
+        await sendQueuedWrite('delete', remote.id, null, { signal });
+        pushed++;
+      }
+    }
+    saveSyncBase(mergedTasks);
+    clearPendingOperations(queued);
+  }
+
+  return { pulled, pushed, conflicts: conflicts.length };
+}
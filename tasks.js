@@ -3,15 +3,43 @@
  * @description Functions to manipulate tasks data.
  */
 
-import { fetchTasks, createTask as createTaskAPI, updateTask as updateTaskAPI, deleteTaskAPI } from './api.js';
-import { markAsModified } from './storage.js';
+import {
+  createTask as createTaskAPI, updateTask as updateTaskAPI, patchTask, deleteTaskAPI,
+  buildTask, isRetryableError, shouldWriteThrough,
+} from './api.js';
+import { markAsModified, queuePendingOperation, getOutboxCounts } from './storage.js';
+import { recordChange } from './history.js';
+import { isDoneStatus } from './columns.js';
 
 /**
  * Global tasks array that will be populated from API
- * @type {Array<{id: number, title: string, description: string, status: string}>}
+ * @type {Array<{id: number, title: string, description: string, status: string, position: number, subtasks: Array<{title: string, completed: boolean}>, dueDate: string|null, priority: string, labels: string[], createdAt?: number, updatedAt?: number, doneAt?: number}>}
  */
 export let tasks = [];
 
+/**
+ * Task priorities, most urgent first.
+ * @type {Array<{id: string, label: string}>}
+ */
+export const PRIORITIES = [
+  { id: 'urgent', label: 'Urgent' },
+  { id: 'high', label: 'High' },
+  { id: 'medium', label: 'Medium' },
+  { id: 'low', label: 'Low' },
+];
+
+/**
+ * Ways a column can order its tasks. 'manual' uses the drag-and-drop position.
+ * @type {Array<{id: string, label: string}>}
+ */
+export const SORT_MODES = [
+  { id: 'manual', label: 'Manual' },
+  { id: 'priority', label: 'Priority' },
+  { id: 'dueDate', label: 'Due date' },
+  { id: 'created', label: 'Newest' },
+  { id: 'title', label: 'Title' },
+];
+
 /**
  * Map to quickly lookup tasks by ID.
  * @type {Object<number, Object>}
@@ -29,31 +57,267 @@ export function refreshTaskMap() {
 }
 
 /**
- * Load tasks from API and update local state
- * @returns {Promise<Array>} Promise that resolves to array of tasks
+ * When true, edits are part of a larger action that records its own history entry.
+ * @type {boolean}
+ */
+let historyPaused = false;
+
+/**
+ * Deep copy a task for the undo history.
+ * @param {Object} task
+ * @returns {Object}
+ */
+function snapshotTask(task) {
+  return JSON.parse(JSON.stringify(task));
+}
+
+/**
+ * Serialize a task without its modification time, to tell whether an edit changed anything.
+ * @param {Object} task
+ * @returns {string}
+ */
+function taskContent(task) {
+  const { updatedAt, ...content } = task;
+  return JSON.stringify(content);
+}
+
+/**
+ * Get when a task was finished after it moves to a status: the time it entered the done
+ * column, kept while it stays there. Tasks done before this was recorded have none.
+ * @param {Object|null} task - The task before the change, or null for a new task
+ * @param {string} status - Its new status
+ * @param {number} now - Time of the change
+ * @returns {number|undefined} Undefined when the task is not done
+ */
+function getDoneAt(task, status, now) {
+  if (!isDoneStatus(status)) return undefined;
+  return task && isDoneStatus(task.status) ? task.doneAt : now;
+}
+
+/**
+ * Send a task write to the API. When the server cannot be reached the write is
+ * queued in the outbox and the change is applied locally, so edits made offline are not lost.
+ * While earlier writes wait in the outbox, new ones queue behind them to keep their order.
+ * @param {string} type - 'create', 'update' or 'delete'
+ * @param {number} taskId
+ * @param {() => Promise<any>} send - Makes the request
+ * @param {any} offlineResult - Returned instead of the server's answer when the write was queued
+ * @returns {Promise<any>}
  */
-export async function loadTasksFromAPI() {
+async function writeThrough(type, taskId, send, offlineResult) {
+  if (shouldWriteThrough() && (!navigator.onLine || getOutboxCounts().pending > 0)) {
+    queuePendingOperation(type, taskId);
+    return offlineResult;
+  }
+
   try {
-    tasks = await fetchTasks();
-    refreshTaskMap();
-    return tasks;
+    return await send();
   } catch (error) {
-    console.error('Error loading tasks from API:', error);
-    throw error;
+    if (!isRetryableError(error)) throw error;
+    console.warn(`Server unreachable, queued ${type} of task ${taskId}:`, error);
+    queuePendingOperation(type, taskId);
+    return offlineResult;
+  }
+}
+
+/**
+ * Restore tasks to recorded states, used by undo and redo.
+ * A null snapshot removes the task; otherwise the task is replaced or re-created.
+ * The API treats PUT of an unknown task as a create, so restores go through updateTask.
+ * @param {Array<{id: number, snapshot: Object|null}>} snapshots
+ * @returns {Promise<void>}
+ */
+export async function applyTaskSnapshots(snapshots) {
+  // Restoring is a new change, so it must look newer than the states it replaces
+  const now = Date.now();
+  snapshots = snapshots.map(({ id, snapshot }) => ({ id, snapshot: snapshot && { ...snapshot, updatedAt: now } }));
+
+  for (const { id, snapshot } of snapshots) {
+    if (snapshot === null) {
+      await writeThrough('delete', id, () => deleteTaskAPI(id), true);
+    } else {
+      await writeThrough('update', id, () => updateTaskAPI(id, snapshot), snapshot);
+    }
   }
+
+  snapshots.forEach(({ id, snapshot }) => {
+    const index = tasks.findIndex(task => task.id === id);
+    if (snapshot === null) {
+      if (index !== -1) tasks.splice(index, 1);
+    } else if (index === -1) {
+      tasks.push(snapshotTask(snapshot));
+    } else {
+      // Replace in place so references to the task object stay valid
+      const task = tasks[index];
+      Object.keys(task).forEach(key => delete task[key]);
+      Object.assign(task, snapshotTask(snapshot));
+    }
+  });
+  refreshTaskMap();
+  markAsModified();
+}
+
+/**
+ * Get the tasks in a column, sorted by their manual position.
+ * @param {string} status
+ * @returns {Array<Object>} Tasks in the column, in display order
+ */
+export function getTasksByStatus(status) {
+  return tasks
+    .filter(task => task.status === status)
+    .sort((a, b) => a.position - b.position);
+}
+
+/**
+ * Get a task's priority rank, 0 being the most urgent.
+ * Tasks without a priority rank as medium.
+ * @param {Object} task
+ * @returns {number}
+ */
+function getPriorityRank(task) {
+  const index = PRIORITIES.findIndex(priority => priority.id === task.priority);
+  return index === -1 ? PRIORITIES.findIndex(priority => priority.id === 'medium') : index;
+}
+
+/**
+ * Sort a list of tasks for display. Ties keep their manual position.
+ * @param {Array<Object>} list - Tasks, already in manual order
+ * @param {string} mode - One of the SORT_MODES ids
+ * @returns {Array<Object>} A new sorted array
+ */
+export function sortTasks(list, mode) {
+  const compare = {
+    priority: (a, b) => getPriorityRank(a) - getPriorityRank(b),
+    // Tasks without a due date go last
+    dueDate: (a, b) => (getDueDate(a) || Infinity) - (getDueDate(b) || Infinity),
+    // Tasks from the API have no creation time; their IDs are in creation order
+    created: (a, b) => (b.createdAt || b.id) - (a.createdAt || a.id),
+    title: (a, b) => a.title.localeCompare(b.title),
+  }[mode];
+
+  // Array.prototype.sort is stable, so equal tasks stay in manual order
+  return compare ? [...list].sort(compare) : [...list];
+}
+
+/**
+ * Get the position that places a task at the end of a column.
+ * @param {string} status
+ * @returns {number} Next free position in the column
+ */
+function getNextPosition(status) {
+  const positions = tasks
+    .filter(task => task.status === status && typeof task.position === 'number')
+    .map(task => task.position);
+  return positions.length ? Math.max(...positions) + 1 : 0;
+}
+
+/**
+ * Assign a position to every task that lacks one, appending it to its column
+ * in array order. Tasks that already have a position keep it.
+ */
+export function ensureTaskPositions() {
+  tasks.forEach(task => {
+    if (typeof task.position !== 'number') {
+      task.position = getNextPosition(task.status);
+    }
+  });
+}
+
+/**
+ * Count a task's completed subtasks.
+ * @param {Object} task
+ * @returns {{completed: number, total: number}} Subtask progress
+ */
+export function getSubtaskProgress(task) {
+  const subtasks = task.subtasks || [];
+  return {
+    completed: subtasks.filter(subtask => subtask.completed).length,
+    total: subtasks.length,
+  };
+}
+
+/**
+ * Parse a task's due date ("YYYY-MM-DD") as a local calendar date.
+ * @param {Object} task
+ * @returns {Date|null} Midnight of the due date, or null if the task has none
+ */
+export function getDueDate(task) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(task.dueDate || '');
+  if (!match) return null;
+  return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+}
+
+/**
+ * Count whole days from today until a task is due.
+ * @param {Object} task
+ * @returns {number|null} Negative when overdue, 0 when due today, null without a due date
+ */
+export function getDaysUntilDue(task) {
+  const dueDate = getDueDate(task);
+  if (!dueDate) return null;
+
+  const now = new Date();
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  return Math.round((dueDate - today) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Replace every task, e.g. with the result of a sync.
+ * @param {Array<Object>} newTasks
+ */
+export function replaceTasks(newTasks) {
+  tasks = [...newTasks];
+  ensureTaskPositions();
+  refreshTaskMap();
+}
+
+/**
+ * Replace every task with the given ones, e.g. from a backup, as a single undoable change.
+ * Only the tasks that differ are written, through the API like any other edit.
+ * @param {Array<Object>} restoredTasks
+ * @param {string} label - Description for the undo history
+ * @returns {Promise<number>} Promise that resolves to the number of tasks changed
+ */
+export async function restoreTasks(restoredTasks, label) {
+  const restoredIds = new Set(restoredTasks.map(task => task.id));
+  const changes = tasks
+    .filter(task => !restoredIds.has(task.id))
+    .map(task => ({ id: task.id, before: snapshotTask(task), after: null }));
+  restoredTasks.forEach(task => {
+    const current = taskMap[task.id];
+    if (!current || taskContent(current) !== taskContent(task)) {
+      changes.push({ id: task.id, before: current ? snapshotTask(current) : null, after: snapshotTask(task) });
+    }
+  });
+  if (changes.length === 0) return 0;
+
+  await applyTaskSnapshots(changes.map(change => ({ id: change.id, snapshot: change.after })));
+  recordChange(label, changes);
+  return changes.length;
 }
 
 /**
  * Add a new task to the list and map.
- * @param {{title: string, description: string, status: string}} taskData
+ * @param {{title: string, description: string, status: string, subtasks?: Array<{title: string, completed: boolean}>, dueDate?: string|null, priority?: string, labels?: string[]}} taskData
  * @returns {Promise<Object>} Promise that resolves to the newly created task object.
  */
 export async function addTask(taskData) {
   try {
-    const newTask = await createTaskAPI(taskData);
+    const now = Date.now();
+    // IDs are creation times, bumped when several tasks are added within the same millisecond
+    let id = now;
+    while (taskMap[id]) id++;
+    const draft = {
+      ...taskData, id, position: getNextPosition(taskData.status), createdAt: now, updatedAt: now,
+      doneAt: getDoneAt(null, taskData.status, now),
+    };
+    const newTask = await writeThrough('create', draft.id, () => createTaskAPI(draft), buildTask(draft.id, draft));
     tasks.push(newTask);
     taskMap[newTask.id] = newTask;
     markAsModified(); // Mark that data has been modified
+    if (!historyPaused) {
+      recordChange(`Add "${newTask.title}"`, [{ id: newTask.id, before: null, after: snapshotTask(newTask) }]);
+    }
     return newTask;
   } catch (error) {
     console.error('Error adding task:', error);
@@ -61,23 +325,118 @@ export async function addTask(taskData) {
   }
 }
 
+/**
+ * Error of addTasks when a task could not be added. The tasks added before it are kept,
+ * available as `added`.
+ */
+export class AddTasksError extends Error {
+  /**
+   * @param {Array<Object>} added - Tasks added before the failure
+   * @param {Error} cause - Why the next task could not be added
+   */
+  constructor(added, cause) {
+    super(cause.message, { cause });
+    this.name = this.constructor.name;
+    this.added = added;
+  }
+}
+
+/**
+ * Add several tasks, e.g. from an import, as a single undoable change.
+ * Stops at the first task that cannot be added; the tasks added before it are kept.
+ * @param {Array<Object>} taskDataList - Each as taken by addTask
+ * @param {string} label - Description for the undo history
+ * @returns {Promise<Array<Object>>} Promise that resolves to the created tasks
+ * @throws {AddTasksError} If a task could not be added
+ */
+export async function addTasks(taskDataList, label) {
+  const added = [];
+  const wasPaused = historyPaused;
+  historyPaused = true;
+  try {
+    for (const taskData of taskDataList) {
+      added.push(await addTask(taskData));
+    }
+  } catch (error) {
+    throw new AddTasksError(added, error);
+  } finally {
+    historyPaused = wasPaused;
+    if (!historyPaused) {
+      recordChange(label, added.map(task => ({ id: task.id, before: null, after: snapshotTask(task) })));
+    }
+  }
+  return added;
+}
+
+/**
+ * Run several task changes, e.g. the moves of a column deletion, as a single undoable change.
+ * The entry records every task the action added, changed or deleted, also when it fails partway.
+ * @param {string} label - Description for the undo history
+ * @param {() => Promise<Object|undefined>} action - Changes tasks through this module's functions,
+ *   and resolves to the column or label it removed from the board, if any (see recordChange)
+ * @returns {Promise<void>}
+ */
+export async function recordAction(label, action) {
+  const before = new Map(tasks.map(task => [task.id, snapshotTask(task)]));
+  const wasPaused = historyPaused;
+  historyPaused = true;
+  let removed;
+  try {
+    removed = await action();
+  } finally {
+    historyPaused = wasPaused;
+    const changes = tasks
+      .filter(task => !before.has(task.id) || taskContent(before.get(task.id)) !== taskContent(task))
+      .map(task => ({ id: task.id, before: before.get(task.id) || null, after: snapshotTask(task) }));
+    before.forEach((snapshot, id) => {
+      if (!taskMap[id]) changes.push({ id, before: snapshot, after: null });
+    });
+    recordChange(label, changes, removed);
+  }
+}
+
 /**
  * Edit an existing task.
  * @param {number} taskId
- * @param {{title: string, description: string, status: string}} updates
+ * @param {{title: string, description: string, status: string, subtasks?: Array<{title: string, completed: boolean}>, dueDate?: string|null, priority?: string, labels?: string[]}} updates
  * @returns {Promise<boolean>} Promise that resolves to true if task was found and updated.
  */
 export async function editTask(taskId, updates) {
   try {
-    const updatedTask = await updateTaskAPI(taskId, updates);
     const task = taskMap[taskId];
     if (!task) return false;
+    const before = snapshotTask(task);
+
+    // A task changing column goes to the bottom of its new column
+    const position = task.status === updates.status ? task.position : getNextPosition(updates.status);
+
+    // Send the whole task, as the server replaces it
+    const now = Date.now();
+    const taskData = { ...task, ...updates, position, updatedAt: now, doneAt: getDoneAt(task, updates.status, now) };
+    const updatedTask = await writeThrough(
+      'update', taskId, () => updateTaskAPI(taskId, taskData), buildTask(taskId, taskData)
+    );
 
     // Update local task data
     task.title = updatedTask.title;
     task.description = updatedTask.description;
     task.status = updatedTask.status;
+    task.subtasks = updatedTask.subtasks;
+    task.dueDate = updatedTask.dueDate;
+    task.priority = updatedTask.priority;
+    task.labels = updatedTask.labels;
+    task.position = updatedTask.position;
+    task.updatedAt = updatedTask.updatedAt;
+    if (typeof updatedTask.doneAt === 'number') {
+      task.doneAt = updatedTask.doneAt;
+    } else {
+      delete task.doneAt;
+    }
     markAsModified(); // Mark that data has been modified
+    const after = snapshotTask(task);
+    if (!historyPaused && taskContent(before) !== taskContent(after)) {
+      recordChange(`Edit "${task.title}"`, [{ id: task.id, before, after }]);
+    }
     return true;
   } catch (error) {
     console.error('Error editing task:', error);
@@ -85,6 +444,89 @@ export async function editTask(taskId, updates) {
   }
 }
 
+/**
+ * Move a task to a column and position it before another task.
+ * Positions in the target column are renumbered so they stay compact.
+ * @param {number} taskId
+ * @param {string} status - Target column status
+ * @param {number|null} [beforeTaskId=null] - Task to insert before, or null to append at the end
+ * @returns {Promise<boolean>} Promise that resolves to true if the task was moved.
+ */
+export async function moveTask(taskId, status, beforeTaskId = null) {
+  const task = taskMap[taskId];
+  if (!task) return false;
+
+  // Renumbering touches every task in the target column, so record them all as one action
+  const before = {};
+  tasks.forEach(t => {
+    if (t === task || t.status === status) before[t.id] = snapshotTask(t);
+  });
+
+  const wasPaused = historyPaused;
+  historyPaused = true;
+  let updated;
+  try {
+    updated = await editTask(taskId, { ...task, status });
+  } finally {
+    historyPaused = wasPaused;
+  }
+  if (!updated) return false;
+
+  const columnTasks = getTasksByStatus(status).filter(t => t !== task);
+  const beforeIndex = beforeTaskId === null ? -1 : columnTasks.findIndex(t => t.id === beforeTaskId);
+  if (beforeIndex === -1) {
+    columnTasks.push(task);
+  } else {
+    columnTasks.splice(beforeIndex, 0, task);
+  }
+  const now = Date.now();
+  const renumbered = columnTasks.filter((t, index) => t === task || before[t.id].position !== index);
+  columnTasks.forEach((t, index) => {
+    t.position = index;
+  });
+  renumbered.forEach(t => {
+    t.updatedAt = now;
+  });
+  markAsModified();
+
+  for (const t of renumbered) {
+    await writeThrough('update', t.id, () => patchTask(t.id, { position: t.position, updatedAt: now }), null);
+  }
+
+  const changes = Object.keys(before)
+    .map(id => ({ id: before[id].id, before: before[id], after: snapshotTask(taskMap[id]) }))
+    .filter(change => taskContent(change.before) !== taskContent(change.after));
+  if (!historyPaused) recordChange(`Move "${task.title}"`, changes);
+  return true;
+}
+
+/**
+ * Move a task directly before another task, adopting its column.
+ * @param {number} taskId
+ * @param {number} targetId - Task to place it before
+ * @returns {Promise<boolean>} Promise that resolves to true if the task was moved.
+ */
+export async function moveTaskBefore(taskId, targetId) {
+  const target = taskMap[targetId];
+  if (!target || taskId === targetId) return false;
+  return moveTask(taskId, target.status, targetId);
+}
+
+/**
+ * Move a task directly after another task, adopting its column.
+ * @param {number} taskId
+ * @param {number} targetId - Task to place it after
+ * @returns {Promise<boolean>} Promise that resolves to true if the task was moved.
+ */
+export async function moveTaskAfter(taskId, targetId) {
+  const target = taskMap[targetId];
+  if (!target || taskId === targetId) return false;
+
+  const columnTasks = getTasksByStatus(target.status).filter(t => t.id !== taskId);
+  const next = columnTasks[columnTasks.indexOf(target) + 1];
+  return moveTask(taskId, target.status, next ? next.id : null);
+}
+
 /**
  * Delete a task by ID.
  * @param {number} taskId
@@ -92,13 +534,15 @@ export async function editTask(taskId, updates) {
  */
 export async function deleteTask(taskId) {
   try {
-    await deleteTaskAPI(taskId);
+    await writeThrough('delete', taskId, () => deleteTaskAPI(taskId), true);
     const index = tasks.findIndex(task => task.id === taskId);
     if (index === -1) return false;
 
+    const before = snapshotTask(tasks[index]);
     tasks.splice(index, 1);
     delete taskMap[taskId];
     markAsModified(); // Mark that data has been modified
+    recordChange(`Delete "${before.title}"`, [{ id: taskId, before, after: null }]);
     return true;
   } catch (error) {
     console.error('Error deleting task:', error);
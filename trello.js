@@ -0,0 +1,221 @@
+/**
+ * @file trello.js
+ * @description Import of a Trello board JSON export into the active board. Lists become columns,
+ * cards become tasks, checklists become subtasks and Trello labels become labels.
+ * What has no equivalent here (attachments, comments, members, archived items) is counted
+ * so the user knows what was left behind.
+ */
+
+import { addTasks } from './tasks.js';
+import { getColumns, addColumn, removeEmptyColumns } from './columns.js';
+import { LABEL_COLORS, getLabels, createLabel, removeUnusedLabels } from './labels.js';
+
+/**
+ * Colors used for Trello's label colors. Variants such as "green_dark" use their base color.
+ * @type {Object<string, string>}
+ */
+const TRELLO_COLORS = {
+  green: '#219c90',
+  yellow: '#e5a449',
+  orange: '#e5a449',
+  red: '#ea5555',
+  purple: '#635fc7',
+  blue: '#49c4e5',
+  sky: '#49c4e5',
+  lime: '#219c90',
+  pink: '#ea5555',
+  black: '#828fa3',
+};
+
+/**
+ * A Trello board export, as far as the import reads it.
+ * @typedef {{
+ *   name: string,
+ *   lists: Array<{id: string, name: string, closed?: boolean, pos?: number}>,
+ *   cards: Array<Object>,
+ *   labels?: Array<{id: string, name: string, color: string|null}>,
+ *   checklists?: Array<{id: string, idCard: string, name: string, pos?: number, checkItems: Array<Object>}>,
+ *   actions?: Array<{type: string}>
+ * }} TrelloBoard
+ */
+
+/**
+ * Parse a Trello board export and check it has the lists and cards the import needs.
+ * @param {string} text - Content of the file
+ * @returns {TrelloBoard}
+ * @throws {Error} If the file is not a Trello board export
+ */
+export function parseTrelloExport(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`The file is not valid JSON: ${error.message}`);
+  }
+  if (!data || typeof data !== 'object' || !Array.isArray(data.lists) || !Array.isArray(data.cards)) {
+    throw new Error('The file is not a Trello board export: it has no lists and cards.');
+  }
+  return data;
+}
+
+/**
+ * Sort Trello items by their position.
+ * @param {Array<{pos?: number}>} items
+ * @returns {Array<Object>} A sorted copy
+ */
+function byPosition(items) {
+  return [...items].sort((a, b) => (a.pos || 0) - (b.pos || 0));
+}
+
+/**
+ * Name of a Trello label. Labels can be colors without a name.
+ * @param {{name: string, color: string|null}} label
+ * @returns {string}
+ */
+function getTrelloLabelName(label) {
+  return (label.name || '').trim() || (label.color ? label.color.replace(/_/g, ' ') : '');
+}
+
+/**
+ * Turn a Trello due date into "YYYY-MM-DD" in local time.
+ * @param {string|null} due
+ * @returns {string|null}
+ */
+function parseTrelloDue(due) {
+  const time = Date.parse(due);
+  if (!due || Number.isNaN(time)) return null;
+  const date = new Date(time);
+  const pad = number => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Work out what importing a Trello board does, without changing anything.
+ * @param {TrelloBoard} data - Checked by parseTrelloExport
+ * @returns {{
+ *   cards: Array<Object>,
+ *   lists: Array<{id: string, name: string}>,
+ *   newColumns: string[],
+ *   newLabels: string[],
+ *   subtasks: number,
+ *   skipped: Object<string, number>
+ * }} Cards and lists to import, the columns and labels to create, and counts of what is left out
+ */
+export function planTrelloImport(data) {
+  const openLists = byPosition(data.lists.filter(list => !list.closed && typeof list.name === 'string'));
+  const openListIds = new Set(openLists.map(list => list.id));
+  const cards = byPosition(data.cards.filter(card =>
+    !card.closed && openListIds.has(card.idList) && typeof card.name === 'string' && card.name.trim()
+  ));
+  const cardIds = new Set(cards.map(card => card.id));
+
+  const columnNames = getColumns().map(column => column.name.toLowerCase());
+  const newColumns = [...new Set(openLists.map(list => list.name.trim() || 'Untitled list'))]
+    .filter(name => !columnNames.includes(name.toLowerCase()));
+
+  const labelNames = getLabels().map(label => label.name.toLowerCase());
+  const usedLabelIds = new Set(cards.flatMap(card => card.idLabels || []));
+  const newLabels = [...new Set((data.labels || [])
+    .filter(label => usedLabelIds.has(label.id))
+    .map(getTrelloLabelName)
+    .filter(name => name && !labelNames.includes(name.toLowerCase())))];
+
+  const checklists = (data.checklists || []).filter(checklist => cardIds.has(checklist.idCard));
+  const count = (list, test) => list.filter(test).length;
+  return {
+    cards,
+    lists: openLists,
+    newColumns,
+    newLabels,
+    subtasks: checklists.reduce((total, checklist) => total + (checklist.checkItems || []).length, 0),
+    skipped: {
+      archivedLists: count(data.lists, list => list.closed),
+      archivedCards: count(data.cards, card => card.closed || !openListIds.has(card.idList)),
+      untitledCards: count(data.cards, card => !card.closed && openListIds.has(card.idList)
+        && !(typeof card.name === 'string' && card.name.trim())),
+      attachments: cards.reduce((total, card) => total + (card.attachments || []).length, 0),
+      comments: count(data.actions || [], action =>
+        action.type === 'commentCard' && action.data && action.data.card && cardIds.has(action.data.card.id)),
+      members: new Set(cards.flatMap(card => card.idMembers || [])).size,
+    },
+  };
+}
+
+/**
+ * Get a card's checklists as subtasks. Items of several checklists are prefixed with
+ * their checklist's name, as tasks have a single list of subtasks.
+ * @param {Object} card
+ * @param {Array<Object>} checklists - Every checklist of the board
+ * @returns {Array<{title: string, completed: boolean}>}
+ */
+function getCardSubtasks(card, checklists) {
+  const cardChecklists = byPosition(checklists.filter(checklist => checklist.idCard === card.id));
+  return cardChecklists.flatMap(checklist => byPosition(checklist.checkItems || [])
+    .filter(item => typeof item.name === 'string' && item.name.trim())
+    .map(item => ({
+      title: cardChecklists.length > 1 ? `${checklist.name}: ${item.name.trim()}` : item.name.trim(),
+      completed: item.state === 'complete',
+    })));
+}
+
+/**
+ * Import a Trello board into the active board, as a single undoable change. Lists become
+ * columns, matched by name; Trello labels become labels, matched by name. Both are created
+ * when the board lacks them.
+ * @param {TrelloBoard} data - Checked by parseTrelloExport
+ * @returns {Promise<number>} Promise that resolves to the number of tasks added
+ * @throws {AddTasksError} If a card could not be added. The tasks added before it are kept, and
+ *   the error's `remainingData` is the export without their cards, to import again.
+ */
+export async function importTrelloBoard(data) {
+  const plan = planTrelloImport(data);
+
+  // Columns and labels created here are removed again if adding the cards fails before any uses them
+  const createdColumns = [];
+  const createdLabels = [];
+
+  const columnIds = new Map();
+  plan.lists.forEach(list => {
+    const name = list.name.trim() || 'Untitled list';
+    let column = getColumns().find(c => c.name.toLowerCase() === name.toLowerCase());
+    if (!column) {
+      column = addColumn(name, LABEL_COLORS[getColumns().length % LABEL_COLORS.length]);
+      createdColumns.push(column.id);
+    }
+    columnIds.set(list.id, column.id);
+  });
+
+  const labelIds = new Map();
+  (data.labels || []).forEach(trelloLabel => {
+    const name = getTrelloLabelName(trelloLabel);
+    if (!name || !plan.cards.some(card => (card.idLabels || []).includes(trelloLabel.id))) return;
+    let label = getLabels().find(l => l.name.toLowerCase() === name.toLowerCase());
+    if (!label) {
+      label = createLabel(name, TRELLO_COLORS[(trelloLabel.color || '').split('_')[0]]);
+      createdLabels.push(label.id);
+    }
+    labelIds.set(trelloLabel.id, label.id);
+  });
+
+  const checklists = data.checklists || [];
+  const taskDataList = plan.cards.map(card => ({
+    title: card.name.trim(),
+    description: typeof card.desc === 'string' ? card.desc : '',
+    status: columnIds.get(card.idList),
+    subtasks: getCardSubtasks(card, checklists),
+    dueDate: parseTrelloDue(card.due),
+    labels: [...new Set((card.idLabels || []).map(id => labelIds.get(id)).filter(Boolean))],
+  }));
+
+  try {
+    const added = await addTasks(taskDataList, `Import "${data.name || 'Trello board'}" from Trello`);
+    return added.length;
+  } catch (error) {
+    removeEmptyColumns(createdColumns);
+    removeUnusedLabels(createdLabels);
+    // The cards added are kept, so a retry only needs the others
+    const addedCardIds = new Set(plan.cards.slice(0, error.added.length).map(card => card.id));
+    error.remainingData = { ...data, cards: data.cards.filter(card => !addedCardIds.has(card.id)) };
+    throw error;
+  }
+}
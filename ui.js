@@ -3,33 +3,1884 @@
  * @description UI rendering and modal management.
  */
 
-import { taskMap, refreshTaskMap, addTask, editTask, deleteTask, tasks } from './tasks.js';
-import { saveToLocalStorage, markAsModified } from './storage.js';
+import {
+  taskMap, refreshTaskMap, addTask, editTask, deleteTask, moveTask,
+  getTasksByStatus, getSubtaskProgress, getDueDate, getDaysUntilDue,
+  sortTasks, PRIORITIES, SORT_MODES, AddTasksError,
+} from './tasks.js';
+import { saveTasks, markAsModified, deleteSavedTasks } from './storage.js';
+import { boards, getActiveBoard, createBoard, renameBoard, deleteBoard, isApiBoard } from './boards.js';
+import {
+  getColumns, getColumn, addColumn, updateColumn, moveColumn, deleteColumn,
+  isDoneStatus, setColumnSortMode,
+} from './columns.js';
+import { matchesFilters, getLabelFilter, setLabelFilter, findSearchMatches } from './filters.js';
+import { LABEL_COLORS, getLabels, getLabel, createLabel, updateLabel, deleteLabel } from './labels.js';
+import { undo, redo } from './history.js';
+import { getValidationReport } from './validation.js';
+import { getBackups, compareWithBackup, restoreBackup } from './backups.js';
+import { exportBoard, getExportFileName, parseBoardFile, previewImport, importBoard } from './boardFile.js';
+import { parseTrelloExport, planTrelloImport, importTrelloBoard } from './trello.js';
+import { buildMarkdownReport } from './report.js';
+import { countDatedTasks, exportTasksIcs } from './ical.js';
+import { renderMarkdown, toggleChecklistItem } from './markdown.js';
+import { escapeHtml } from './html.js';
+import {
+  CSV_FIELDS, parseCsv, exportTasksCsv, guessFieldMapping, getDistinctValues, guessBoardColumn, importCsvRows,
+} from './csv.js';
+import {
+  API_MODES, DEFAULT_API_BASE_URL, MAX_RETRIES, getApiConfig, configureApi, saveApiConfig, testApiConnection,
+} from './api.js';
 
 /**
- * Render all tasks in their respective columns.
+ * Called with the new board's ID whenever the active board should change.
+ * @type {((boardId: number) => void) | null}
+ */
+let boardChangeHandler = null;
+
+/**
+ * Whether the card being dragged was dropped on a column. The drag preview moves the card
+ * in the DOM, so a drag that ends elsewhere re-renders the board to put it back.
+ * @type {boolean}
+ */
+let dragDropped = false;
+
+/**
+ * Palette offered for new columns, cycled by column count.
+ * @type {string[]}
+ */
+const COLUMN_COLORS = ['#49c4e5', '#8471f2', '#219c90', '#e5a449', '#ea5555', '#635fc7'];
+
+/**
+ * Fill an element with text, wrapping the given ranges in <mark> highlights.
+ * @param {HTMLElement} element
+ * @param {string} text
+ * @param {Array<{start: number, end: number}>} ranges - Sorted, non-overlapping ranges
+ */
+function setHighlightedText(element, text, ranges) {
+  element.textContent = '';
+  let last = 0;
+  ranges.forEach(({ start, end }) => {
+    element.appendChild(document.createTextNode(text.slice(last, start)));
+    const mark = document.createElement('mark');
+    mark.textContent = text.slice(start, end);
+    element.appendChild(mark);
+    last = end;
+  });
+  element.appendChild(document.createTextNode(text.slice(last)));
+}
+
+/**
+ * Create a colored chip showing a label's name.
+ * @param {{id: string, name: string, color: string}} label
+ * @param {string} [tagName='span'] - Use 'button' for selectable chips
+ * @returns {HTMLElement} The chip
+ */
+function createLabelChip(label, tagName = 'span') {
+  const chip = document.createElement(tagName);
+  chip.className = 'label-chip';
+  chip.textContent = label.name;
+  chip.dataset.labelId = label.id;
+  chip.style.setProperty('--label-color', label.color);
+  if (tagName === 'button') chip.type = 'button';
+  return chip;
+}
+
+/**
+ * Render the label filter bar in the header from the active board's labels.
+ */
+export function renderLabelFilter() {
+  const bar = document.getElementById('label-filter-bar');
+  if (!bar) return;
+
+  const selected = getLabelFilter();
+  bar.innerHTML = ''; // Clear existing
+
+  getLabels().forEach(label => {
+    const chip = createLabelChip(label, 'button');
+    chip.classList.toggle('selected', selected.includes(label.id));
+    chip.title = `Show only "${label.name}" cards`;
+    chip.addEventListener('click', () => {
+      const labelIds = selected.includes(label.id)
+        ? selected.filter(id => id !== label.id)
+        : [...selected, label.id];
+      setLabelFilter(labelIds);
+      renderTasks();
+    });
+    bar.appendChild(chip);
+  });
+
+  if (selected.length > 0) {
+    const clearBtn = document.createElement('button');
+    clearBtn.className = 'label-filter-clear';
+    clearBtn.textContent = 'Clear';
+    clearBtn.addEventListener('click', () => {
+      setLabelFilter([]);
+      renderTasks();
+    });
+    bar.appendChild(clearBtn);
+  }
+
+  const manageBtn = document.createElement('button');
+  manageBtn.className = 'label-filter-manage';
+  manageBtn.textContent = '🏷️ Labels';
+  manageBtn.title = 'Manage labels';
+  manageBtn.addEventListener('click', () => showLabelsDialog());
+  bar.appendChild(manageBtn);
+}
+
+/**
+ * Show the dialog to create, rename, recolor and delete the active board's labels.
+ * @param {() => void} [onClose] - Called after the dialog closes
+ */
+function showLabelsDialog(onClose) {
+  const dialog = document.createElement('div');
+  dialog.className = 'modal confirmation-modal';
+  dialog.innerHTML = `
+    <div class="modal-content confirmation-content">
+      <div class="modal-header">
+        <h2>Manage Labels</h2>
+        <span class="close-btn labels-dialog-close">&times;</span>
+      </div>
+      <div class="modal-body">
+        <div class="label-edit-list"></div>
+        <div class="form-group">
+          <label for="new-label-name"><strong>New Label</strong></label>
+          <div class="label-edit-row">
+            <input type="color" class="new-label-color" />
+            <input type="text" id="new-label-name" placeholder="e.g. Bug" />
+            <button type="button" class="add-subtask-btn add-label-btn">Add</button>
+          </div>
+        </div>
+      </div>
+      <div class="modal-buttons">
+        <button class="save-btn">Done</button>
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(dialog);
+
+  const list = dialog.querySelector('.label-edit-list');
+  const newName = dialog.querySelector('#new-label-name');
+  const newColor = dialog.querySelector('.new-label-color');
+
+  // Labels are saved as they are edited, so every change re-renders the board behind the dialog
+  const refresh = () => {
+    list.innerHTML = '';
+    getLabels().forEach(label => {
+      const row = document.createElement('div');
+      row.className = 'label-edit-row';
+      row.innerHTML = `
+        <input type="color" class="label-color" />
+        <input type="text" class="label-name" />
+        <button type="button" class="remove-subtask-btn" title="Delete label">&times;</button>
+      `;
+      const nameInput = row.querySelector('.label-name');
+      const colorInput = row.querySelector('.label-color');
+      nameInput.value = label.name;
+      colorInput.value = label.color;
+
+      const update = () => {
+        try {
+          updateLabel(label.id, { name: nameInput.value, color: colorInput.value });
+          renderTasks();
+        } catch (error) {
+          alert(error.message);
+          nameInput.value = label.name;
+        }
+      };
+      nameInput.addEventListener('change', update);
+      colorInput.addEventListener('change', update);
+
+      row.querySelector('.remove-subtask-btn').onclick = async () => {
+        try {
+          await deleteLabel(label.id);
+          showToast(`Deleted label "${label.name}"`, 'Undo', undoLastChange);
+        } catch (error) {
+          alert(`Error deleting label: ${error.message}`);
+        }
+        setLabelFilter(getLabelFilter().filter(id => getLabel(id)));
+        saveTasks();
+        renderTasks();
+        refresh();
+      };
+      list.appendChild(row);
+    });
+    newColor.value = LABEL_COLORS[getLabels().length % LABEL_COLORS.length];
+  };
+
+  const add = () => {
+    try {
+      createLabel(newName.value, newColor.value);
+      newName.value = '';
+      renderTasks();
+      refresh();
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  const closeDialog = () => {
+    document.body.removeChild(dialog);
+    if (onClose) onClose();
+  };
+
+  dialog.querySelector('.labels-dialog-close').onclick = closeDialog;
+  dialog.querySelector('.save-btn').onclick = closeDialog;
+  dialog.querySelector('.add-label-btn').onclick = add;
+  dialog.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      closeDialog();
+    } else if (e.key === 'Enter' && e.target === newName) {
+      e.preventDefault();
+      add();
+    }
+  });
+
+  refresh();
+  setTimeout(() => {
+    newName.focus();
+  }, 100);
+}
+
+/**
+ * Fill the task modal's label picker, marking the given labels as selected.
+ * @param {HTMLElement} modal
+ * @param {string[]} selectedIds
+ */
+function renderModalLabels(modal, selectedIds) {
+  const picker = modal.querySelector('#modal-labels');
+  picker.innerHTML = '';
+
+  getLabels().forEach(label => {
+    const chip = createLabelChip(label, 'button');
+    chip.classList.toggle('selected', selectedIds.includes(label.id));
+    chip.addEventListener('click', () => chip.classList.toggle('selected'));
+    picker.appendChild(chip);
+  });
+
+  if (getLabels().length === 0) {
+    picker.textContent = 'No labels on this board yet.';
+  }
+}
+
+/**
+ * Read the labels selected in the task modal.
+ * @param {HTMLElement} modal
+ * @returns {string[]} Selected label IDs
+ */
+function getModalLabels(modal) {
+  return [...modal.querySelectorAll('#modal-labels .label-chip.selected')]
+    .map(chip => chip.dataset.labelId);
+}
+
+/**
+ * Create the card element for a task.
+ * @param {Object} task
+ * @returns {HTMLElement} The task card
+ */
+function createTaskCard(task) {
+  const div = document.createElement('div');
+  div.className = 'task-div';
+  div.dataset.taskId = task.id;
+
+  const priority = PRIORITIES.find(p => p.id === task.priority);
+  if (priority) {
+    const badge = document.createElement('span');
+    badge.className = `task-priority priority-${priority.id}`;
+    badge.textContent = priority.label;
+    div.appendChild(badge);
+  }
+
+  const title = document.createElement('span');
+  title.className = 'task-title';
+  setHighlightedText(title, task.title, findSearchMatches(task.title));
+  div.appendChild(title);
+
+  // Show where the search query matched in the description, which cards don't otherwise show
+  const descriptionMatches = findSearchMatches(task.description);
+  if (descriptionMatches.length > 0) {
+    const snippetStart = Math.max(0, descriptionMatches[0].start - 30);
+    const snippetText = task.description.slice(snippetStart, snippetStart + 90);
+    const snippetMatches = descriptionMatches
+      .map(({ start, end }) => ({
+        start: start - snippetStart,
+        end: Math.min(end - snippetStart, snippetText.length),
+      }))
+      .filter(({ start, end }) => start < end && start < snippetText.length);
+
+    const snippet = document.createElement('span');
+    snippet.className = 'task-snippet';
+    setHighlightedText(snippet, snippetText, snippetMatches);
+    if (snippetStart > 0) snippet.prepend('…');
+    if (snippetStart + snippetText.length < task.description.length) snippet.append('…');
+    div.appendChild(snippet);
+  }
+
+  const taskLabels = (task.labels || []).map(getLabel).filter(Boolean);
+  if (taskLabels.length > 0) {
+    const chips = document.createElement('span');
+    chips.className = 'task-labels';
+    taskLabels.forEach(label => chips.appendChild(createLabelChip(label)));
+    div.appendChild(chips);
+  }
+
+  const { completed, total } = getSubtaskProgress(task);
+  if (total > 0) {
+    const progress = document.createElement('span');
+    progress.className = 'task-subtasks';
+    progress.classList.toggle('complete', completed === total);
+    progress.textContent = `${completed} of ${total} subtasks`;
+    div.appendChild(progress);
+  }
+
+  const dueDate = getDueDate(task);
+  if (dueDate) {
+    const due = document.createElement('span');
+    due.className = 'task-due';
+    const sameYear = dueDate.getFullYear() === new Date().getFullYear();
+    due.textContent = `📅 ${dueDate.toLocaleDateString(undefined, {
+      month: 'short',
+      day: 'numeric',
+      year: sameYear ? undefined : 'numeric',
+    })}`;
+
+    // Finished tasks are never flagged as late
+    const days = getDaysUntilDue(task);
+    if (!isDoneStatus(task.status)) {
+      if (days < 0) {
+        due.classList.add('overdue');
+        due.title = 'Overdue';
+      } else if (days === 0) {
+        due.classList.add('due-today');
+        due.title = 'Due today';
+      }
+    }
+    div.appendChild(due);
+  }
+
+  div.draggable = true;
+  div.addEventListener('click', () => openModal(task.id));
+  div.addEventListener('dragstart', (e) => {
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', String(task.id));
+    div.classList.add('dragging');
+    dragDropped = false;
+  });
+  div.addEventListener('dragend', () => {
+    div.classList.remove('dragging');
+    if (!dragDropped) renderTasks(); // Cancelled, or dropped outside the columns
+  });
+  return div;
+}
+
+/**
+ * Create the element for a column, with an empty tasks container.
+ * @param {{id: string, name: string, color: string}} column
+ * @returns {HTMLElement} The column element
+ */
+function createColumnElement(column) {
+  const columnDiv = document.createElement('div');
+  columnDiv.className = 'column-div';
+  columnDiv.dataset.status = column.id;
+  columnDiv.innerHTML = `
+    <div class="column-head-div" title="Edit column">
+      <span class="dot"></span>
+      <h4 class="columnHeader"></h4>
+      <select class="column-sort" title="Sort tasks"></select>
+    </div>
+    <div class="tasks-container"></div>
+  `;
+  columnDiv.querySelector('.dot').style.backgroundColor = column.color;
+  columnDiv.querySelector('.column-head-div').addEventListener('click', () => showColumnDialog(column));
+
+  const sortSelect = columnDiv.querySelector('.column-sort');
+  SORT_MODES.forEach(mode => {
+    const option = document.createElement('option');
+    option.value = mode.id;
+    option.textContent = mode.label;
+    sortSelect.appendChild(option);
+  });
+  sortSelect.value = column.sortMode || 'manual';
+  sortSelect.addEventListener('click', (e) => e.stopPropagation()); // Don't open the column dialog
+  sortSelect.addEventListener('change', () => {
+    setColumnSortMode(column.id, sortSelect.value);
+    renderTasks();
+  });
+  return columnDiv;
+}
+
+/**
+ * Render the active board's columns and the tasks in each of them.
  */
 export function renderTasks() {
   refreshTaskMap();
 
-  const statuses = ['todo', 'doing', 'done'];
-
-  statuses.forEach((status) => {
-    const container = document.querySelector(`.column-div[data-status="${status}"] .tasks-container`);
-    container.innerHTML = ''; // Clear existing
-    const filtered = tasks.filter(task => task.status === status);
-    filtered.forEach(task => {
-      const div = document.createElement('div');
-      div.className = 'task-div';
-      div.textContent = task.title;
-      div.dataset.taskId = task.id;
-      div.addEventListener('click', () => openModal(task.id));
-      container.appendChild(div);
+  const board = document.querySelector('.card-column-main');
+  board.innerHTML = ''; // Clear existing
+
+  getColumns().forEach((column) => {
+    const columnDiv = createColumnElement(column);
+    const container = columnDiv.querySelector('.tasks-container');
+    const filtered = sortTasks(getTasksByStatus(column.id), column.sortMode).filter(matchesFilters);
+    filtered.forEach(task => container.appendChild(createTaskCard(task)));
+
+    // Update column header count
+    const header = columnDiv.querySelector('.columnHeader');
+    header.textContent = `${column.name.toUpperCase()} (${filtered.length})`;
+    board.appendChild(columnDiv);
+  });
+
+  const addColumnBtn = document.createElement('button');
+  addColumnBtn.className = 'add-column-btn';
+  addColumnBtn.textContent = '+ New Column';
+  addColumnBtn.addEventListener('click', () => showColumnDialog());
+  board.appendChild(addColumnBtn);
+
+  renderLabelFilter();
+}
+
+/**
+ * Show the dialog to add a column, or to edit, reorder and delete an existing one.
+ * @param {{id: string, name: string, color: string}} [column] - Column to edit; omit to add a new column
+ */
+function showColumnDialog(column) {
+  const columns = getColumns();
+  const index = column ? columns.indexOf(column) : -1;
+
+  const dialog = document.createElement('div');
+  dialog.className = 'modal confirmation-modal';
+  dialog.innerHTML = `
+    <div class="modal-content confirmation-content">
+      <div class="modal-header">
+        <h2>${column ? 'Edit Column' : 'Add New Column'}</h2>
+        <span class="close-btn column-dialog-close">&times;</span>
+      </div>
+      <div class="modal-body">
+        <div class="form-group">
+          <label for="column-name-input"><strong>Column Name</strong></label>
+          <input type="text" id="column-name-input" placeholder="e.g. Review" />
+        </div>
+        <div class="form-group">
+          <label for="column-color-input"><strong>Color</strong></label>
+          <input type="color" id="column-color-input" />
+        </div>
+        ${column ? `
+        <div class="form-group">
+          <label><strong>Position</strong></label>
+          <div class="column-move-buttons">
+            <button class="cancel-btn move-left-btn" ${index === 0 ? 'disabled' : ''}>← Left</button>
+            <button class="cancel-btn move-right-btn" ${index === columns.length - 1 ? 'disabled' : ''}>Right →</button>
+          </div>
+        </div>
+        <div class="form-group">
+          <label for="column-target-select"><strong>Move tasks on delete to</strong></label>
+          <select id="column-target-select"></select>
+        </div>` : ''}
+      </div>
+      <div class="modal-buttons">
+        <button class="save-btn">${column ? 'Save Changes' : 'Create Column'}</button>
+        ${column ? '<button class="delete-btn">Delete Column</button>' : ''}
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(dialog);
+
+  const nameInput = dialog.querySelector('#column-name-input');
+  const colorInput = dialog.querySelector('#column-color-input');
+  nameInput.value = column ? column.name : '';
+  colorInput.value = column ? column.color : COLUMN_COLORS[columns.length % COLUMN_COLORS.length];
+
+  const closeDialog = () => document.body.removeChild(dialog);
+  const submit = () => {
+    try {
+      if (column) {
+        updateColumn(column.id, { name: nameInput.value, color: colorInput.value });
+      } else {
+        addColumn(nameInput.value, colorInput.value);
+      }
+      renderTasks();
+      closeDialog();
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  dialog.querySelector('.column-dialog-close').onclick = closeDialog;
+  dialog.querySelector('.save-btn').onclick = submit;
+  dialog.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      closeDialog();
+    } else if (e.key === 'Enter' && e.target === nameInput) {
+      e.preventDefault();
+      submit();
+    }
+  });
+
+  if (column) {
+    const moveTo = (newIndex) => {
+      moveColumn(column.id, newIndex);
+      renderTasks();
+      closeDialog();
+    };
+    dialog.querySelector('.move-left-btn').onclick = () => moveTo(index - 1);
+    dialog.querySelector('.move-right-btn').onclick = () => moveTo(index + 1);
+
+    const targetSelect = dialog.querySelector('#column-target-select');
+    columns.filter(c => c !== column).forEach(c => {
+      const option = document.createElement('option');
+      option.value = c.id;
+      option.textContent = c.name;
+      targetSelect.appendChild(option);
+    });
+
+    dialog.querySelector('.delete-btn').onclick = () => {
+      const target = getColumn(targetSelect.value);
+      const taskCount = getTasksByStatus(column.id).length;
+      const moveNote = taskCount && target
+        ? `<br><br>Its ${taskCount} task(s) will be moved to "${escapeHtml(target.name)}".`
+        : '';
+      showConfirmationDialog(
+        `Are you sure you want to delete the column "${escapeHtml(column.name)}"?${moveNote}`,
+        async () => {
+          try {
+            await deleteColumn(column.id, targetSelect.value);
+            saveTasks();
+            renderTasks();
+            closeDialog();
+            showToast(`Deleted column "${column.name}"`, 'Undo', undoLastChange);
+          } catch (error) {
+            alert(`Error deleting column: ${error.message}`);
+          }
+        }
+      );
+    };
+  }
+
+  setTimeout(() => {
+    nameInput.focus();
+  }, 100);
+}
+
+/**
+ * Render the board list in the sidebar and mobile menu, and the active board name in the header.
+ */
+export function renderBoards() {
+  const activeBoard = getActiveBoard();
+
+  document.querySelectorAll('.boards-nav-links-div').forEach(nav => {
+    const count = nav.querySelector('.boards-count');
+    if (count) count.textContent = `ALL BOARDS (${boards.length})`;
+
+    const list = nav.querySelector('.board-list');
+    list.innerHTML = ''; // Clear existing
+    boards.forEach(board => {
+      const button = document.createElement('button');
+      button.className = 'board-btn';
+      button.textContent = board.name;
+      button.classList.toggle('active', board === activeBoard);
+      button.addEventListener('click', () => {
+        if (board !== activeBoard && boardChangeHandler) boardChangeHandler(board.id);
+      });
+      list.appendChild(button);
+    });
+
+    const deleteBtn = nav.querySelector('.delete-board-btn');
+    if (deleteBtn) {
+      deleteBtn.disabled = boards.length === 1 || isApiBoard();
+      deleteBtn.title = isApiBoard() ? 'The board synced with the server cannot be deleted' : '';
+    }
+  });
+
+  const headerName = document.getElementById('header-board-name');
+  if (headerName && activeBoard) headerName.textContent = activeBoard.name;
+}
+
+/**
+ * Show a dialog asking for a board name.
+ * @param {string} title - Dialog heading
+ * @param {string} initialValue - Prefilled name
+ * @param {string} submitLabel - Text of the submit button
+ * @param {(name: string) => void} onSubmit - Called with the entered name; may throw to keep the dialog open
+ */
+function showBoardNameDialog(title, initialValue, submitLabel, onSubmit) {
+  const dialog = document.createElement('div');
+  dialog.className = 'modal confirmation-modal';
+  dialog.innerHTML = `
+    <div class="modal-content confirmation-content">
+      <div class="modal-header">
+        <h2>${escapeHtml(title)}</h2>
+        <span class="close-btn board-dialog-close">&times;</span>
+      </div>
+      <div class="modal-body">
+        <div class="form-group">
+          <label for="board-name-input"><strong>Board Name</strong></label>
+          <input type="text" id="board-name-input" placeholder="e.g. Marketing Plan" />
+        </div>
+      </div>
+      <div class="modal-buttons">
+        <button class="cancel-btn">Cancel</button>
+        <button class="save-btn">${escapeHtml(submitLabel)}</button>
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(dialog);
+
+  const input = dialog.querySelector('#board-name-input');
+  input.value = initialValue;
+
+  const closeDialog = () => document.body.removeChild(dialog);
+  const submit = () => {
+    try {
+      onSubmit(input.value);
+      closeDialog();
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  dialog.querySelector('.board-dialog-close').onclick = closeDialog;
+  dialog.querySelector('.cancel-btn').onclick = closeDialog;
+  dialog.querySelector('.save-btn').onclick = submit;
+
+  dialog.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      closeDialog();
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      submit();
+    }
+  });
+
+  setTimeout(() => {
+    input.focus();
+    input.select();
+  }, 100);
+}
+
+/**
+ * Wire up the create, rename and delete board controls in the sidebar and mobile menu.
+ * @param {(boardId: number) => void} onBoardChange - Called when the user switches to another board
+ */
+export function initializeBoardNav(onBoardChange) {
+  boardChangeHandler = onBoardChange;
+
+  document.querySelectorAll('.create-board-btn').forEach(button => {
+    button.addEventListener('click', () => {
+      showBoardNameDialog('Create New Board', '', 'Create Board', (name) => {
+        const board = createBoard(name);
+        boardChangeHandler(board.id);
+      });
+    });
+  });
+
+  document.querySelectorAll('.rename-board-btn').forEach(button => {
+    button.addEventListener('click', () => {
+      const board = getActiveBoard();
+      showBoardNameDialog('Rename Board', board.name, 'Save Changes', (name) => {
+        renameBoard(board.id, name);
+        renderBoards();
+      });
+    });
+  });
+
+  document.querySelectorAll('.delete-board-btn').forEach(button => {
+    button.addEventListener('click', () => {
+      const board = getActiveBoard();
+      showConfirmationDialog(
+        `Are you sure you want to delete the board "${escapeHtml(board.name)}" and all of its tasks?<br><br>This action cannot be undone.`,
+        () => {
+          try {
+            deleteBoard(board.id);
+            deleteSavedTasks(board.id);
+            boardChangeHandler(getActiveBoard().id);
+          } catch (error) {
+            alert(`Error deleting board: ${error.message}`);
+          }
+        }
+      );
+    });
+  });
+
+  renderBoards();
+}
+
+/**
+ * Show the data source settings dialog: mode, API base URL and auth token.
+ * @param {() => void} onSave - Called after new settings are saved
+ */
+function showSettingsDialog(onSave) {
+  const config = getApiConfig();
+
+  const dialog = document.createElement('div');
+  dialog.className = 'modal confirmation-modal';
+  dialog.innerHTML = `
+    <div class="modal-content confirmation-content">
+      <div class="modal-header">
+        <h2>⚙️ Data Source</h2>
+        <span class="close-btn settings-dialog-close">&times;</span>
+      </div>
+      <div class="modal-body">
+        <div class="form-group">
+          <label for="settings-mode"><strong>Mode</strong></label>
+          <select id="settings-mode">
+            ${API_MODES.map(mode => `<option value="${mode.id}">${mode.label}</option>`).join('')}
+          </select>
+        </div>
+        <div class="form-group remote-setting">
+          <label for="settings-base-url"><strong>API Base URL</strong></label>
+          <input type="url" id="settings-base-url" placeholder="${DEFAULT_API_BASE_URL}" />
+        </div>
+        <div class="form-group remote-setting">
+          <label for="settings-auth-token"><strong>Auth Token (optional)</strong></label>
+          <input type="password" id="settings-auth-token" placeholder="Sent as a Bearer token" autocomplete="off" />
+        </div>
+        <div class="form-group remote-setting settings-row">
+          <div>
+            <label for="settings-timeout"><strong>Timeout (seconds)</strong></label>
+            <input type="number" id="settings-timeout" min="1" step="1" />
+          </div>
+          <div>
+            <label for="settings-retries"><strong>Retries</strong></label>
+            <input type="number" id="settings-retries" min="0" max="${MAX_RETRIES}" step="1" />
+          </div>
+        </div>
+        <p class="settings-test-result" role="status"></p>
+      </div>
+      <div class="modal-buttons">
+        <button class="cancel-btn test-connection-btn">Test</button>
+        <button class="save-btn">Save</button>
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(dialog);
+
+  const modeSelect = dialog.querySelector('#settings-mode');
+  const baseUrlInput = dialog.querySelector('#settings-base-url');
+  const authTokenInput = dialog.querySelector('#settings-auth-token');
+  const timeoutInput = dialog.querySelector('#settings-timeout');
+  const retriesInput = dialog.querySelector('#settings-retries');
+  const testResult = dialog.querySelector('.settings-test-result');
+  const testBtn = dialog.querySelector('.test-connection-btn');
+
+  modeSelect.value = config.mode;
+  baseUrlInput.value = config.baseUrl;
+  authTokenInput.value = config.authToken;
+  timeoutInput.value = config.timeoutMs / 1000;
+  retriesInput.value = config.maxRetries;
+
+  const updateRemoteFields = () => {
+    const isRemote = modeSelect.value !== 'local';
+    dialog.querySelectorAll('.remote-setting').forEach(group => group.classList.toggle('hidden', !isRemote));
+    testBtn.classList.toggle('hidden', !isRemote);
+  };
+  modeSelect.addEventListener('change', updateRemoteFields);
+  updateRemoteFields();
+
+  const showTestResult = (message, ok) => {
+    testResult.textContent = message;
+    testResult.classList.toggle('success', ok);
+    testResult.classList.toggle('failure', !ok);
+  };
+
+  // Test the endpoint with the values in the form, before they are saved
+  const testConnection = async () => {
+    showTestResult('Testing connection...', true);
+    try {
+      const count = await testApiConnection({
+        baseUrl: baseUrlInput.value,
+        authToken: authTokenInput.value,
+        timeoutMs: Number(timeoutInput.value) * 1000 || undefined,
+      });
+      showTestResult(`✅ Connected: the API returned ${count} task(s).`, true);
+      return true;
+    } catch (error) {
+      showTestResult(`❌ ${error.message}`, false);
+      return false;
+    }
+  };
+
+  const closeDialog = () => document.body.removeChild(dialog);
+
+  const save = async () => {
+    // Don't switch to a remote the board cannot reach
+    if (modeSelect.value !== 'local' && !(await testConnection())) return;
+
+    // The remote settings are hidden in local mode, so they are kept as they were
+    const updates = modeSelect.value === 'local' ? { mode: 'local' } : {
+      mode: modeSelect.value,
+      baseUrl: baseUrlInput.value,
+      authToken: authTokenInput.value,
+      timeoutMs: Number(timeoutInput.value) * 1000,
+      maxRetries: Number(retriesInput.value),
+    };
+    try {
+      configureApi(updates);
+    } catch (error) {
+      showTestResult(`❌ ${error.message}`, false);
+      return;
+    }
+    saveApiConfig();
+    closeDialog();
+    onSave();
+  };
+
+  dialog.querySelector('.settings-dialog-close').onclick = closeDialog;
+  testBtn.onclick = testConnection;
+  dialog.querySelector('.save-btn').onclick = save;
+  dialog.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closeDialog();
+  });
+
+  setTimeout(() => {
+    modeSelect.focus();
+  }, 100);
+}
+
+/**
+ * Wire up the data source settings buttons in the sidebar and mobile menu.
+ * @param {() => void} onSettingsChange - Called after new settings are saved
+ */
+export function initializeSettings(onSettingsChange) {
+  document.querySelectorAll('.settings-btn').forEach(button => {
+    button.addEventListener('click', () => {
+      document.getElementById('mobile-menu-overlay').classList.remove('show');
+      showSettingsDialog(onSettingsChange);
+    });
+  });
+}
+
+/**
+ * Show or hide the header button that opens the diagnostics view.
+ * It only appears on the API board, when its last load found problems.
+ */
+export function renderDiagnosticsButton() {
+  const button = document.getElementById('diagnostics-btn');
+  const report = getValidationReport();
+  const count = report ? report.fixed.length + report.rejected.length : 0;
+
+  button.classList.toggle('hidden', count === 0 || !isApiBoard());
+  button.textContent = `⚠️ ${count} data issue(s)`;
+}
+
+/**
+ * Show the problems found in the tasks last loaded from the API: what was fixed in each
+ * task and the records that could not be used, as they were received.
+ */
+function showDiagnosticsDialog() {
+  const report = getValidationReport();
+  if (!report) return;
+
+  const fixedItems = report.fixed.map(entry => `
+    <li>
+      <strong>${escapeHtml(entry.title)}</strong> (ID ${entry.id})
+      <ul>${entry.problems.map(problem => `<li>${escapeHtml(problem)}</li>`).join('')}</ul>
+    </li>
+  `).join('');
+  const rejectedItems = report.rejected.map(entry => `
+    <li>
+      Record ${entry.index + 1}: ${escapeHtml(entry.reason)}
+      <pre class="diagnostics-record">${escapeHtml(JSON.stringify(entry.record, null, 2) ?? String(entry.record))}</pre>
+    </li>
+  `).join('');
+
+  const dialog = document.createElement('div');
+  dialog.className = 'modal confirmation-modal';
+  dialog.innerHTML = `
+    <div class="modal-content confirmation-content diagnostics-content">
+      <div class="modal-header">
+        <h2>⚠️ Data Diagnostics</h2>
+        <span class="close-btn diagnostics-close">&times;</span>
+      </div>
+      <div class="modal-body">
+        <p>
+          Checked ${report.total} record(s) from the server on ${new Date(report.checkedAt).toLocaleString()}.
+          Fixed ${report.fixed.length}, could not use ${report.rejected.length}.
+          Rejected records are left untouched on the server.
+        </p>
+        <div class="diagnostics-list">
+          ${fixedItems ? `<h3>Fixed</h3><ul>${fixedItems}</ul>` : ''}
+          ${rejectedItems ? `<h3>Rejected</h3><ul>${rejectedItems}</ul>` : ''}
+        </div>
+      </div>
+      <div class="modal-buttons">
+        <button class="cancel-btn copy-diagnostics-btn">Copy Report</button>
+        <button class="save-btn">Close</button>
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(dialog);
+
+  const closeDialog = () => document.body.removeChild(dialog);
+  const copyBtn = dialog.querySelector('.copy-diagnostics-btn');
+
+  dialog.querySelector('.diagnostics-close').onclick = closeDialog;
+  dialog.querySelector('.save-btn').onclick = closeDialog;
+  copyBtn.onclick = async () => {
+    try {
+      await navigator.clipboard.writeText(JSON.stringify(report, null, 2));
+      copyBtn.textContent = 'Copied';
+    } catch (error) {
+      alert(`Error copying report: ${error.message}`);
+    }
+  };
+  dialog.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closeDialog();
+  });
+
+  setTimeout(() => {
+    dialog.querySelector('.save-btn').focus();
+  }, 100);
+}
+
+/**
+ * Wire up the diagnostics button in the header.
+ */
+export function initializeDiagnostics() {
+  document.getElementById('diagnostics-btn').addEventListener('click', showDiagnosticsDialog);
+}
+
+/**
+ * Names of the reasons a backup was taken.
+ * @type {Object<string, string>}
+ */
+const BACKUP_REASONS = {
+  save: 'Saved',
+  daily: 'Daily',
+  migration: 'Before upgrade',
+};
+
+/**
+ * Describe what restoring a backup would change, as HTML.
+ * @param {{added: Array<Object>, removed: Array<Object>, changed: Array<{task: Object, fields: string[]}>, moved: Array<Object>}} diff
+ * @returns {string}
+ */
+function renderBackupDiff(diff) {
+  if (!diff.added.length && !diff.removed.length && !diff.changed.length) {
+    return '<p class="backup-diff-empty">This backup matches the board as it is now.</p>';
+  }
+
+  const taskItems = (list, className) => list.map(task => `
+    <li class="${className}">${escapeHtml(task.title)}</li>
+  `).join('');
+  const changedItems = diff.changed.map(({ task, fields }) => `
+    <li class="backup-diff-changed">
+      ${escapeHtml(task.title)}
+      <ul>
+        ${fields.map(field => `
+          <li>${TASK_FIELD_NAMES[field] || field}: ${escapeHtml(formatTaskValue(field, task[field]))}</li>
+        `).join('')}
+      </ul>
+    </li>
+  `).join('');
+
+  return `
+    ${diff.added.length ? `<h3>Brought back (${diff.added.length})</h3><ul>${taskItems(diff.added, 'backup-diff-added')}</ul>` : ''}
+    ${diff.removed.length ? `<h3>Removed (${diff.removed.length})</h3><ul>${taskItems(diff.removed, 'backup-diff-removed')}</ul>` : ''}
+    ${diff.changed.length ? `<h3>Changed back (${diff.changed.length})</h3><ul>${changedItems}</ul>` : ''}
+    ${diff.moved.length ? `
+      <h3>Column deleted since (${diff.moved.length})</h3>
+      <p class="backup-diff-empty">These tasks go to "${escapeHtml(getColumns()[0].name)}".</p>
+      <ul>${taskItems(diff.moved, 'backup-diff-moved')}</ul>
+    ` : ''}
+  `;
+}
+
+/**
+ * Show the active board's backups, newest first. Selecting one previews what restoring
+ * it would change; restoring replaces the board's tasks and can be undone.
+ */
+async function showBackupsDialog() {
+  let backups;
+  try {
+    backups = await getBackups();
+  } catch (error) {
+    alert(`Error loading backups: ${error.message}`);
+    return;
+  }
+
+  const items = backups.map((backup, index) => `
+    <label class="backup-item">
+      <input type="radio" name="backup" value="${index}" />
+      <span class="backup-time">${new Date(backup.createdAt).toLocaleString()}</span>
+      <span class="backup-meta">${BACKUP_REASONS[backup.reason] || backup.reason} · ${backup.tasks.length} task(s)</span>
+    </label>
+  `).join('');
+
+  const dialog = document.createElement('div');
+  dialog.className = 'modal confirmation-modal';
+  dialog.innerHTML = `
+    <div class="modal-content confirmation-content backups-content">
+      <div class="modal-header">
+        <h2>🕘 Restore from Backup</h2>
+        <span class="close-btn backups-close">&times;</span>
+      </div>
+      <div class="modal-body">
+        <p>
+          A backup of "${escapeHtml(getActiveBoard().name)}" is kept for each of the last 20 saves,
+          and one for each of the last 30 days it was changed.
+        </p>
+        ${items
+          ? `<div class="backup-list">${items}</div>`
+          : '<p class="backup-diff-empty">No backups yet. One is taken the next time tasks are saved.</p>'}
+        <div class="backup-diff"></div>
+      </div>
+      <div class="modal-buttons">
+        <button class="cancel-btn">Cancel</button>
+        <button class="save-btn restore-backup-btn" disabled>Restore</button>
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(dialog);
+
+  // Idempotent, as the dialog can be closed while a restore runs and closed again when it ends
+  const closeDialog = () => dialog.remove();
+  const diffContainer = dialog.querySelector('.backup-diff');
+  const restoreBtn = dialog.querySelector('.restore-backup-btn');
+  let selected = null;
+
+  dialog.querySelectorAll('input[name="backup"]').forEach(input => {
+    input.addEventListener('change', () => {
+      selected = backups[Number(input.value)];
+      try {
+        diffContainer.innerHTML = renderBackupDiff(compareWithBackup(selected));
+        restoreBtn.disabled = false;
+      } catch (error) {
+        diffContainer.innerHTML = `<p class="backup-diff-empty">${escapeHtml(error.message)}</p>`;
+        restoreBtn.disabled = true;
+      }
+    });
+  });
+
+  restoreBtn.onclick = async () => {
+    if (!selected) return;
+    // Disabled until the restore settles, so a second click cannot restore twice
+    restoreBtn.disabled = true;
+    try {
+      const changed = await restoreBackup(selected);
+      closeDialog();
+      if (changed === 0) {
+        showToast('Nothing to restore');
+        return;
+      }
+      saveTasks();
+      renderTasks();
+      showToast(`Restored backup of ${new Date(selected.createdAt).toLocaleString()}`, 'Undo', undoLastChange);
+    } catch (error) {
+      restoreBtn.disabled = false;
+      alert(`Error restoring backup: ${error.message}`);
+    }
+  };
+  dialog.querySelector('.backups-close').onclick = closeDialog;
+  dialog.querySelector('.cancel-btn').onclick = closeDialog;
+  dialog.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closeDialog();
+  });
+
+  setTimeout(() => {
+    dialog.querySelector('.cancel-btn').focus();
+  }, 100);
+}
+
+/**
+ * Offer text as a file download.
+ * @param {string} fileName
+ * @param {string} content
+ * @param {string} type - MIME type
+ */
+export function downloadFile(fileName, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Read a file chosen by the user as text.
+ * @param {File} file
+ * @returns {Promise<string>}
+ */
+function readFileText(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error || new Error(`Could not read ${file.name}.`));
+    reader.readAsText(file);
+  });
+}
+
+/**
+ * Show what importing a board file would change, and import it in the mode chosen.
+ * @param {Object} data - Board file checked by parseBoardFile
+ * @param {string} fileName
+ */
+function showBoardImportDialog(data, fileName) {
+  const dialog = document.createElement('div');
+  dialog.className = 'modal confirmation-modal';
+  dialog.innerHTML = `
+    <div class="modal-content confirmation-content transfer-content">
+      <div class="modal-header">
+        <h2>📥 Import Board</h2>
+        <span class="close-btn transfer-close">&times;</span>
+      </div>
+      <div class="modal-body">
+        <p>
+          "${escapeHtml(data.board.name)}" from ${escapeHtml(fileName)}, exported on
+          ${escapeHtml(new Date(data.exportedAt).toLocaleString())}: ${data.tasks.length} task(s),
+          ${data.board.columns.length} column(s), ${data.board.labels.length} label(s).
+        </p>
+        <label class="conflict-option">
+          <input type="radio" name="import-mode" value="merge" checked />
+          <span><strong>Merge:</strong> add the file's tasks to "${escapeHtml(getActiveBoard().name)}"</span>
+        </label>
+        <label class="conflict-option">
+          <input type="radio" name="import-mode" value="replace" />
+          <span><strong>Replace:</strong> the board's tasks become the file's</span>
+        </label>
+        <ul class="transfer-preview"></ul>
+      </div>
+      <div class="modal-buttons">
+        <button class="cancel-btn">Cancel</button>
+        <button class="save-btn">Import</button>
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(dialog);
+
+  // Idempotent, as the dialog can be closed while the import runs and closed again when it ends
+  const closeDialog = () => dialog.remove();
+  const getMode = () => dialog.querySelector('input[name="import-mode"]:checked').value;
+  const renderPreview = () => {
+    const preview = previewImport(data, getMode());
+    const lines = [`${preview.added} new task(s)`];
+    if (preview.updated) lines.push(`${preview.updated} task(s) with the same ID replaced by the file's`);
+    if (preview.removed) lines.push(`${preview.removed} task(s) not in the file removed`);
+    if (preview.columns.length) lines.push(`New columns: ${preview.columns.join(', ')}`);
+    if (preview.labels.length) lines.push(`New labels: ${preview.labels.join(', ')}`);
+    if (data.fixed) lines.push(`${data.fixed} task(s) with invalid fields fixed, e.g. a missing title or unknown column`);
+    dialog.querySelector('.transfer-preview').innerHTML = lines.map(line => `<li>${escapeHtml(line)}</li>`).join('');
+  };
+
+  dialog.querySelectorAll('input[name="import-mode"]').forEach(input => {
+    input.addEventListener('change', renderPreview);
+  });
+  const importBtn = dialog.querySelector('.save-btn');
+  importBtn.onclick = async () => {
+    // Disabled until the import settles, so a second click cannot import the file twice
+    importBtn.disabled = true;
+    try {
+      const changed = await importBoard(data, getMode());
+      closeDialog();
+      saveTasks();
+      renderTasks();
+      showToast(`Imported "${data.board.name}": ${changed} task(s) changed`, 'Undo', undoLastChange);
+    } catch (error) {
+      importBtn.disabled = false;
+      alert(`Error importing board: ${error.message}`);
+    }
+  };
+  dialog.querySelector('.transfer-close').onclick = closeDialog;
+  dialog.querySelector('.cancel-btn').onclick = closeDialog;
+  dialog.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closeDialog();
+  });
+
+  renderPreview();
+  setTimeout(() => {
+    dialog.querySelector('.cancel-btn').focus();
+  }, 100);
+}
+
+/**
+ * Let the user map spreadsheet columns onto task fields, and the values of the column
+ * chosen as the task's column onto board columns, then add a task per row.
+ * @param {string[][]} rows - Parsed CSV, the first row holding the headers
+ * @param {string} fileName
+ */
+function showCsvImportDialog(rows, fileName) {
+  const [headers] = rows;
+  let dataRows = rows.slice(1);
+  const fieldMapping = guessFieldMapping(headers);
+  const statusMapping = {};
+
+  const fieldOptions = selected => [
+    `<option value="" ${selected ? '' : 'selected'}>Don't import</option>`,
+    ...CSV_FIELDS.map(field => `
+      <option value="${field.id}" ${field.id === selected ? 'selected' : ''}>${field.name}</option>
+    `),
+  ].join('');
+  const mappingRows = headers.map((header, index) => `
+    <tr>
+      <td>
+        <strong>${escapeHtml(header || `Column ${index + 1}`)}</strong>
+        <div class="csv-sample">${escapeHtml((dataRows[0] || [])[index] || '')}</div>
+      </td>
+      <td><select class="csv-field" data-index="${index}">${fieldOptions(fieldMapping[index])}</select></td>
+    </tr>
+  `).join('');
+
+  const dialog = document.createElement('div');
+  dialog.className = 'modal confirmation-modal';
+  dialog.innerHTML = `
+    <div class="modal-content confirmation-content transfer-content">
+      <div class="modal-header">
+        <h2>📥 Import Tasks from CSV</h2>
+        <span class="close-btn transfer-close">&times;</span>
+      </div>
+      <div class="modal-body">
+        <p>${dataRows.length} row(s) in ${escapeHtml(fileName)}. Choose the task field each spreadsheet column holds.</p>
+        <div class="csv-mapping">
+          <table>${mappingRows}</table>
+          <div class="csv-status-mapping"></div>
+        </div>
+        <p class="transfer-summary"></p>
+      </div>
+      <div class="modal-buttons">
+        <button class="cancel-btn">Cancel</button>
+        <button class="save-btn">Import</button>
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(dialog);
+
+  // Idempotent, as the dialog can be closed while the import runs and closed again when it ends
+  const closeDialog = () => dialog.remove();
+  const importBtn = dialog.querySelector('.save-btn');
+
+  const renderStatusMapping = () => {
+    const container = dialog.querySelector('.csv-status-mapping');
+    const statusIndex = fieldMapping.indexOf('status');
+    if (statusIndex === -1) {
+      container.innerHTML = `<p class="csv-sample">Every task goes to "${escapeHtml(getColumns()[0].name)}".</p>`;
+      return;
+    }
+    const values = getDistinctValues(dataRows, statusIndex);
+    container.innerHTML = `
+      <h3>Columns</h3>
+      <table>
+        ${values.map((value, index) => `
+          <tr>
+            <td>${value ? escapeHtml(value) : '<em>(empty)</em>'}</td>
+            <td>
+              <select class="csv-status" data-value-index="${index}">
+                ${getColumns().map(column => `
+                  <option value="${column.id}" ${column.id === (statusMapping[value] || guessBoardColumn(value)) ? 'selected' : ''}>
+                    ${escapeHtml(column.name)}
+                  </option>
+                `).join('')}
+              </select>
+            </td>
+          </tr>
+        `).join('')}
+      </table>
+    `;
+    values.forEach(value => {
+      statusMapping[value] = statusMapping[value] || guessBoardColumn(value);
+    });
+    container.querySelectorAll('.csv-status').forEach(select => {
+      select.addEventListener('change', () => {
+        statusMapping[values[Number(select.dataset.valueIndex)]] = select.value;
+      });
+    });
+  };
+
+  const renderSummary = () => {
+    const titleIndex = fieldMapping.indexOf('title');
+    const summary = dialog.querySelector('.transfer-summary');
+    if (titleIndex === -1) {
+      summary.textContent = 'Choose the spreadsheet column holding the task titles.';
+      importBtn.disabled = true;
+      return;
+    }
+    const count = dataRows.filter(row => (row[titleIndex] || '').trim()).length;
+    const skipped = dataRows.length - count;
+    summary.textContent = `${count} task(s) will be added${skipped ? `, ${skipped} row(s) without a title skipped` : ''}.`;
+    importBtn.disabled = count === 0;
+  };
+
+  dialog.querySelectorAll('.csv-field').forEach(select => {
+    select.addEventListener('change', () => {
+      // A field can only come from one spreadsheet column
+      const index = Number(select.dataset.index);
+      fieldMapping.forEach((field, other) => {
+        if (select.value && field === select.value && other !== index) {
+          fieldMapping[other] = null;
+          dialog.querySelector(`.csv-field[data-index="${other}"]`).value = '';
+        }
+      });
+      fieldMapping[index] = select.value || null;
+      renderStatusMapping();
+      renderSummary();
     });
+  });
 
-    // Update column header count
-    const header = document.querySelector(`#${status}Text`);
-    if (header) header.textContent = `${status.toUpperCase()} (${filtered.length})`;
+  importBtn.onclick = async () => {
+    // Disabled until the import settles, so a second click cannot add the tasks twice
+    importBtn.disabled = true;
+    try {
+      const { imported, skipped } = await importCsvRows(dataRows, fieldMapping, statusMapping, fileName);
+      closeDialog();
+      saveTasks();
+      renderTasks();
+      const skippedNote = skipped ? `, ${skipped} row(s) skipped` : '';
+      showToast(`Imported ${imported} task(s)${skippedNote}`, 'Undo', undoLastChange);
+    } catch (error) {
+      importBtn.disabled = false;
+      if (error instanceof AddTasksError && error.added.length) {
+        // Keep the tasks added, and leave only the other rows to import again
+        dataRows = error.remainingRows;
+        saveTasks();
+        renderTasks();
+        renderSummary();
+        alert(`Imported ${error.added.length} task(s) before an error: ${error.message}\n`
+          + 'Import again to add the remaining rows.');
+        return;
+      }
+      alert(`Error importing tasks: ${error.message}`);
+    }
+  };
+  dialog.querySelector('.transfer-close').onclick = closeDialog;
+  dialog.querySelector('.cancel-btn').onclick = closeDialog;
+  dialog.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closeDialog();
+  });
+
+  renderStatusMapping();
+  renderSummary();
+  setTimeout(() => {
+    dialog.querySelector('.cancel-btn').focus();
+  }, 100);
+}
+
+/**
+ * Show what importing a Trello board brings over and what it leaves behind, and import it.
+ * @param {Object} data - Trello export checked by parseTrelloExport
+ * @param {string} fileName
+ */
+function showTrelloImportDialog(data, fileName) {
+  const plan = planTrelloImport(data);
+  const imported = [
+    `${plan.cards.length} card(s) as tasks, with their descriptions and due dates`,
+    `${plan.lists.length} list(s) as columns${plan.newColumns.length ? `, adding ${plan.newColumns.join(', ')}` : ''}`,
+  ];
+  if (plan.subtasks) imported.push(`${plan.subtasks} checklist item(s) as subtasks`);
+  if (plan.newLabels.length) imported.push(`New labels: ${plan.newLabels.join(', ')}`);
+
+  const { skipped } = plan;
+  const leftOut = [
+    [skipped.archivedLists, 'archived list(s)'],
+    [skipped.archivedCards, 'archived card(s), or cards of archived lists'],
+    [skipped.untitledCards, 'card(s) without a name'],
+    [skipped.attachments, 'attachment(s)'],
+    [skipped.comments, 'comment(s)'],
+    [skipped.members, 'card member(s)'],
+  ].filter(([count]) => count > 0).map(([count, what]) => `${count} ${what}`);
+
+  const listItems = lines => lines.map(line => `<li>${escapeHtml(line)}</li>`).join('');
+  const dialog = document.createElement('div');
+  dialog.className = 'modal confirmation-modal';
+  dialog.innerHTML = `
+    <div class="modal-content confirmation-content transfer-content">
+      <div class="modal-header">
+        <h2>📥 Import from Trello</h2>
+        <span class="close-btn transfer-close">&times;</span>
+      </div>
+      <div class="modal-body">
+        <p>"${escapeHtml(data.name || fileName)}" will be added to "${escapeHtml(getActiveBoard().name)}".</p>
+        <h3>Imported</h3>
+        <ul class="transfer-preview">${listItems(imported)}</ul>
+        ${leftOut.length ? `<h3>Not imported</h3><ul class="transfer-preview">${listItems(leftOut)}</ul>` : ''}
+      </div>
+      <div class="modal-buttons">
+        <button class="cancel-btn">Cancel</button>
+        <button class="save-btn" ${plan.cards.length ? '' : 'disabled'}>Import</button>
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(dialog);
+
+  // Idempotent, as the dialog can be closed while the import runs and closed again when it ends
+  const closeDialog = () => dialog.remove();
+  const importBtn = dialog.querySelector('.save-btn');
+  importBtn.onclick = async () => {
+    // Disabled until the import settles, so a second click cannot import the cards twice
+    importBtn.disabled = true;
+    try {
+      const count = await importTrelloBoard(data);
+      closeDialog();
+      saveTasks();
+      renderTasks();
+      showToast(`Imported ${count} card(s) from Trello`, 'Undo', undoLastChange);
+    } catch (error) {
+      importBtn.disabled = false;
+      if (error instanceof AddTasksError && error.added.length) {
+        // Keep the tasks added, and leave only the other cards to import again
+        data = error.remainingData;
+        saveTasks();
+        renderTasks();
+        alert(`Imported ${error.added.length} card(s) before an error: ${error.message}\n`
+          + 'Import again to add the remaining cards.');
+        return;
+      }
+      alert(`Error importing from Trello: ${error.message}`);
+    }
+  };
+  dialog.querySelector('.transfer-close').onclick = closeDialog;
+  dialog.querySelector('.cancel-btn').onclick = closeDialog;
+  dialog.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closeDialog();
+  });
+
+  setTimeout(() => {
+    dialog.querySelector('.cancel-btn').focus();
+  }, 100);
+}
+
+/**
+ * Show the active board as a Markdown status report, with options, to copy or download.
+ */
+function showReportDialog() {
+  const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+  const pad = number => String(number).padStart(2, '0');
+  const defaultSince = `${weekAgo.getFullYear()}-${pad(weekAgo.getMonth() + 1)}-${pad(weekAgo.getDate())}`;
+
+  const dialog = document.createElement('div');
+  dialog.className = 'modal confirmation-modal';
+  dialog.innerHTML = `
+    <div class="modal-content confirmation-content transfer-content report-content">
+      <div class="modal-header">
+        <h2>📝 Status Report</h2>
+        <span class="close-btn transfer-close">&times;</span>
+      </div>
+      <div class="modal-body">
+        <label class="conflict-option">
+          <input type="checkbox" class="report-done-since-toggle" />
+          <span>Only done tasks finished since</span>
+          <input type="date" class="report-done-since" value="${defaultSince}" />
+        </label>
+        <label class="conflict-option">
+          <input type="checkbox" class="report-group-by-label" />
+          <span>Group by label</span>
+        </label>
+        <textarea class="report-output" readonly></textarea>
+      </div>
+      <div class="modal-buttons">
+        <button class="cancel-btn copy-report-btn">Copy as Markdown</button>
+        <button class="cancel-btn download-report-btn">Download .md</button>
+        <button class="save-btn">Close</button>
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(dialog);
+
+  const closeDialog = () => document.body.removeChild(dialog);
+  const output = dialog.querySelector('.report-output');
+  const sinceToggle = dialog.querySelector('.report-done-since-toggle');
+  const sinceInput = dialog.querySelector('.report-done-since');
+  const groupToggle = dialog.querySelector('.report-group-by-label');
+  const copyBtn = dialog.querySelector('.copy-report-btn');
+
+  const render = () => {
+    output.value = buildMarkdownReport({
+      doneSince: sinceToggle.checked && sinceInput.value ? sinceInput.value : null,
+      groupByLabel: groupToggle.checked,
+    });
+    copyBtn.textContent = 'Copy as Markdown';
+  };
+  [sinceToggle, sinceInput, groupToggle].forEach(input => input.addEventListener('change', render));
+
+  copyBtn.onclick = async () => {
+    try {
+      await navigator.clipboard.writeText(output.value);
+      copyBtn.textContent = 'Copied';
+    } catch (error) {
+      alert(`Error copying report: ${error.message}`);
+    }
+  };
+  dialog.querySelector('.download-report-btn').onclick = () => {
+    downloadFile(getExportFileName('md'), output.value, 'text/markdown;charset=utf-8');
+  };
+  dialog.querySelector('.transfer-close').onclick = closeDialog;
+  dialog.querySelector('.save-btn').onclick = closeDialog;
+  dialog.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closeDialog();
+  });
+
+  render();
+  setTimeout(() => {
+    copyBtn.focus();
+  }, 100);
+}
+
+/**
+ * Show the dialog to export the active board to a file, or import one into it.
+ */
+function showTransferDialog() {
+  const dialog = document.createElement('div');
+  dialog.className = 'modal confirmation-modal';
+  dialog.innerHTML = `
+    <div class="modal-content confirmation-content transfer-content">
+      <div class="modal-header">
+        <h2>⇅ Import / Export</h2>
+        <span class="close-btn transfer-close">&times;</span>
+      </div>
+      <div class="modal-body">
+        <h3>Export "${escapeHtml(getActiveBoard().name)}"</h3>
+        <div class="transfer-actions">
+          <button class="cancel-btn export-json-btn">Board (JSON)</button>
+          <button class="cancel-btn export-csv-btn">Tasks (CSV)</button>
+          <button class="cancel-btn export-ics-btn" data-component="VEVENT">Due dates as events (iCalendar)</button>
+          <button class="cancel-btn export-ics-btn" data-component="VTODO">Due dates as to-dos (iCalendar)</button>
+          <button class="cancel-btn export-report-btn">Status report (Markdown)</button>
+        </div>
+        <h3>Import into this board</h3>
+        <div class="transfer-actions">
+          <label class="cancel-btn transfer-file">
+            Board (JSON)
+            <input type="file" class="import-json-input" accept=".json,application/json" />
+          </label>
+          <label class="cancel-btn transfer-file">
+            Tasks (CSV)
+            <input type="file" class="import-csv-input" accept=".csv,text/csv" />
+          </label>
+          <label class="cancel-btn transfer-file">
+            Trello (JSON)
+            <input type="file" class="import-trello-input" accept=".json,application/json" />
+          </label>
+        </div>
+      </div>
+      <div class="modal-buttons">
+        <button class="save-btn">Close</button>
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(dialog);
+
+  const closeDialog = () => document.body.removeChild(dialog);
+
+  dialog.querySelector('.export-json-btn').onclick = () => {
+    downloadFile(getExportFileName('json'), JSON.stringify(exportBoard(), null, 2), 'application/json');
+  };
+  dialog.querySelectorAll('.export-ics-btn').forEach(button => {
+    button.onclick = () => {
+      if (countDatedTasks() === 0) {
+        alert('No task on this board has a due date to export.');
+        return;
+      }
+      const ics = exportTasksIcs(button.dataset.component);
+      downloadFile(getExportFileName('ics'), ics, 'text/calendar;charset=utf-8');
+    };
+  });
+  dialog.querySelector('.export-report-btn').onclick = () => {
+    closeDialog();
+    showReportDialog();
+  };
+  dialog.querySelector('.export-csv-btn').onclick = () => {
+    downloadFile(getExportFileName('csv'), exportTasksCsv(), 'text/csv;charset=utf-8');
+  };
+  dialog.querySelector('.import-csv-input').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      const rows = parseCsv(await readFileText(file));
+      if (rows.length < 2) {
+        throw new Error('The file needs a header row and at least one task.');
+      }
+      closeDialog();
+      showCsvImportDialog(rows, file.name);
+    } catch (error) {
+      alert(`Error reading ${file.name}: ${error.message}`);
+      e.target.value = '';
+    }
+  });
+  dialog.querySelector('.import-trello-input').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      const data = parseTrelloExport(await readFileText(file));
+      closeDialog();
+      showTrelloImportDialog(data, file.name);
+    } catch (error) {
+      alert(`Error reading ${file.name}: ${error.message}`);
+      e.target.value = '';
+    }
+  });
+  dialog.querySelector('.import-json-input').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      const data = parseBoardFile(await readFileText(file));
+      closeDialog();
+      showBoardImportDialog(data, file.name);
+    } catch (error) {
+      alert(`Error reading ${file.name}: ${error.message}`);
+      e.target.value = '';
+    }
+  });
+  dialog.querySelector('.transfer-close').onclick = closeDialog;
+  dialog.querySelector('.save-btn').onclick = closeDialog;
+  dialog.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closeDialog();
+  });
+
+  setTimeout(() => {
+    dialog.querySelector('.save-btn').focus();
+  }, 100);
+}
+
+/**
+ * Wire up the import and export buttons of the sidebar and mobile menu.
+ */
+export function initializeTransfer() {
+  document.querySelectorAll('.transfer-btn').forEach(button => {
+    button.addEventListener('click', () => {
+      document.getElementById('mobile-menu-overlay').classList.remove('show');
+      showTransferDialog();
+    });
+  });
+}
+
+/**
+ * Wire up the backups buttons of the sidebar and mobile menu.
+ */
+export function initializeBackups() {
+  document.querySelectorAll('.backups-btn').forEach(button => {
+    button.addEventListener('click', () => {
+      document.getElementById('mobile-menu-overlay').classList.remove('show');
+      showBackupsDialog();
+    });
+  });
+}
+
+/**
+ * Names of the task fields shown in the conflict and backup dialogs.
+ * @type {Object<string, string>}
+ */
+const TASK_FIELD_NAMES = {
+  title: 'Title',
+  description: 'Description',
+  status: 'Column',
+  position: 'Order',
+  subtasks: 'Subtasks',
+  dueDate: 'Due date',
+  priority: 'Priority',
+  labels: 'Labels',
+  doneAt: 'Completed',
+};
+
+/**
+ * Describe a task field's value for the conflict and backup dialogs.
+ * @param {string} field
+ * @param {any} value
+ * @returns {string} Plain text
+ */
+function formatTaskValue(field, value) {
+  if (value === undefined || value === null || value === '') return '(none)';
+  if (field === 'status') {
+    const column = getColumn(value);
+    return column ? column.name : value;
+  }
+  if (field === 'priority') {
+    const priority = PRIORITIES.find(p => p.id === value);
+    return priority ? priority.label : value;
+  }
+  if (field === 'labels') {
+    return value.length ? value.map(id => (getLabel(id) || { name: id }).name).join(', ') : '(none)';
+  }
+  if (field === 'subtasks') {
+    if (!value.length) return '(none)';
+    return value.map(subtask => `${subtask.completed ? '☑' : '☐'} ${subtask.title}`).join(', ');
+  }
+  if (field === 'doneAt') {
+    return new Date(value).toLocaleString();
+  }
+  return String(value);
+}
+
+/**
+ * Ask the user how to resolve tasks that changed both here and on the server.
+ * Each choice defaults to the most recently modified side.
+ * @param {Array<{id: number, kind: string, local: Object|null, remote: Object|null, fields: string[]}>} conflicts
+ * @returns {Promise<Array<Object<string, string>>>} 'local' or 'remote' per field of each conflict,
+ *   or under 'task' for deletions
+ */
+export function showConflictDialog(conflicts) {
+  return new Promise(resolve => {
+    const dialog = document.createElement('div');
+    dialog.className = 'modal confirmation-modal';
+
+    const renderOption = (name, side, label, value, checked) => `
+      <label class="conflict-option">
+        <input type="radio" name="${name}" value="${side}" ${checked ? 'checked' : ''} />
+        <span><strong>${label}:</strong> ${escapeHtml(value)}</span>
+      </label>
+    `;
+
+    const items = conflicts.map((conflict, index) => {
+      const task = conflict.local || conflict.remote;
+      let rows;
+      if (conflict.kind === 'edit') {
+        const localIsNewer = (conflict.local.updatedAt || 0) >= (conflict.remote.updatedAt || 0);
+        rows = conflict.fields.map(field => `
+          <div class="conflict-field">
+            <p class="conflict-field-name">${TASK_FIELD_NAMES[field] || field}</p>
+            ${renderOption(`conflict-${index}-${field}`, 'local', 'This device',
+              formatTaskValue(field, conflict.local[field]), localIsNewer)}
+            ${renderOption(`conflict-${index}-${field}`, 'remote', 'Server',
+              formatTaskValue(field, conflict.remote[field]), !localIsNewer)}
+          </div>
+        `).join('');
+      } else {
+        // The edit is the newer change, as the deleting side last saw the old version
+        const deletedHere = conflict.kind === 'deletedLocally';
+        rows = `
+          <div class="conflict-field">
+            ${renderOption(`conflict-${index}-task`, 'local', 'This device',
+              deletedHere ? 'Deleted' : 'Keep the edited task', !deletedHere)}
+            ${renderOption(`conflict-${index}-task`, 'remote', 'Server',
+              deletedHere ? 'Keep the edited task' : 'Deleted', deletedHere)}
+          </div>
+        `;
+      }
+      const modified = task.updatedAt ? `Last changed ${new Date(task.updatedAt).toLocaleString()}` : '';
+      return `
+        <div class="conflict-item">
+          <h3>${escapeHtml(task.title)}</h3>
+          ${modified ? `<p class="conflict-time">${modified}</p>` : ''}
+          ${rows}
+        </div>
+      `;
+    }).join('');
+
+    dialog.innerHTML = `
+      <div class="modal-content confirmation-content conflict-content">
+        <div class="modal-header">
+          <h2>🔀 Sync Conflicts</h2>
+        </div>
+        <div class="modal-body">
+          <p>${conflicts.length} task(s) changed both on this device and on the server. Choose what to keep.</p>
+          <div class="conflict-list">${items}</div>
+        </div>
+        <div class="modal-buttons">
+          <button class="cancel-btn keep-remote-btn">All Server</button>
+          <button class="cancel-btn keep-local-btn">All Mine</button>
+          <button class="save-btn">Apply</button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(dialog);
+
+    const selectAll = side => {
+      dialog.querySelectorAll(`input[type="radio"][value="${side}"]`).forEach(input => {
+        input.checked = true;
+      });
+    };
+
+    const apply = () => {
+      const choices = conflicts.map((conflict, index) => {
+        const choice = {};
+        const fields = conflict.kind === 'edit' ? conflict.fields : ['task'];
+        fields.forEach(field => {
+          choice[field] = dialog.querySelector(`input[name="conflict-${index}-${field}"]:checked`).value;
+        });
+        return choice;
+      });
+      document.body.removeChild(dialog);
+      resolve(choices);
+    };
+
+    // No close button: the sync cannot finish until every conflict is resolved
+    dialog.querySelector('.keep-remote-btn').onclick = () => selectAll('remote');
+    dialog.querySelector('.keep-local-btn').onclick = () => selectAll('local');
+    dialog.querySelector('.save-btn').onclick = apply;
+
+    setTimeout(() => {
+      dialog.querySelector('.save-btn').focus();
+    }, 100);
+  });
+}
+
+/**
+ * Find the card the dragged card should be inserted before, based on pointer position.
+ * @param {HTMLElement} container - Tasks container being hovered
+ * @param {number} y - Pointer Y coordinate
+ * @returns {HTMLElement|null} Card below the pointer, or null to append at the end
+ */
+function getDragAfterElement(container, y) {
+  const cards = [...container.querySelectorAll('.task-div:not(.dragging)')];
+  let closest = { offset: Number.NEGATIVE_INFINITY, element: null };
+
+  cards.forEach(card => {
+    const box = card.getBoundingClientRect();
+    const offset = y - box.top - box.height / 2;
+    if (offset < 0 && offset > closest.offset) {
+      closest = { offset, element: card };
+    }
+  });
+
+  return closest.element;
+}
+
+/**
+ * Initialize drag-and-drop of task cards between and within columns.
+ * Listeners are delegated to the board so re-rendered cards need no rebinding.
+ */
+export function initializeDragAndDrop() {
+  const board = document.querySelector('.card-column-main');
+  if (!board) return;
+
+  board.addEventListener('dragover', (e) => {
+    const column = e.target.closest('.column-div');
+    const dragging = board.querySelector('.task-div.dragging');
+    if (!column || !dragging) return;
+
+    e.preventDefault(); // Allow drop
+    e.dataTransfer.dropEffect = 'move';
+
+    // Move the card in the DOM as a live preview of where it will land
+    const container = column.querySelector('.tasks-container');
+    const afterElement = getDragAfterElement(container, e.clientY);
+    if (afterElement) {
+      container.insertBefore(dragging, afterElement);
+    } else {
+      container.appendChild(dragging);
+    }
+  });
+
+  board.addEventListener('drop', async (e) => {
+    const column = e.target.closest('.column-div');
+    const dragging = board.querySelector('.task-div.dragging');
+    if (!column || !dragging) return;
+    e.preventDefault();
+    dragDropped = true;
+
+    const taskId = Number(dragging.dataset.taskId);
+    const next = dragging.nextElementSibling;
+    const beforeTaskId = next ? Number(next.dataset.taskId) : null;
+
+    try {
+      const moved = await moveTask(taskId, column.dataset.status, beforeTaskId);
+      if (moved) saveTasks();
+    } catch (error) {
+      alert(`Error moving task: ${error.message}`);
+    }
+    renderTasks();
   });
 }
 
@@ -57,17 +1908,44 @@ export function getOrCreateModal() {
             </div>
   
             <div class="form-group">
-              <label for="modal-description"><strong>Description</strong></label>
-              <textarea id="modal-description" rows="4" placeholder="Enter task description..."></textarea>
+              <div class="description-header">
+                <label for="modal-description"><strong>Description</strong></label>
+                <div class="description-tabs">
+                  <button type="button" class="description-tab" data-view="edit">Write</button>
+                  <button type="button" class="description-tab" data-view="preview">Preview</button>
+                </div>
+              </div>
+              <textarea id="modal-description" rows="4" placeholder="Enter task description... Markdown is supported."></textarea>
+              <div class="description-preview hidden"></div>
+            </div>
+
+            <div class="form-group">
+              <label for="modal-priority"><strong>Priority</strong></label>
+              <select id="modal-priority">
+                ${PRIORITIES.map(p => `<option value="${p.id}">${p.label}</option>`).join('')}
+              </select>
+            </div>
+
+            <div class="form-group">
+              <label for="modal-due-date"><strong>Due Date</strong></label>
+              <input type="date" id="modal-due-date" />
+            </div>
+
+            <div class="form-group">
+              <label><strong>Labels</strong></label>
+              <div id="modal-labels" class="label-picker"></div>
+              <button type="button" class="add-subtask-btn manage-labels-btn">🏷️ Manage Labels</button>
+            </div>
+
+            <div class="form-group">
+              <label><strong>Subtasks</strong></label>
+              <div id="modal-subtasks" class="subtask-list"></div>
+              <button type="button" class="add-subtask-btn">+ Add New Subtask</button>
             </div>
   
             <div class="form-group">
               <label for="modal-status"><strong>Current Status</strong></label>
-              <select id="modal-status">
-                <option value="todo">To Do</option>
-                <option value="doing">Doing</option>
-                <option value="done">Done</option>
-              </select>
+              <select id="modal-status"></select>
             </div>
           </div>
   
@@ -83,8 +1961,27 @@ export function getOrCreateModal() {
     const closeBtn = modal.querySelector('.close-btn');
     const saveBtn = modal.querySelector('.save-btn');
     const deleteBtn = modal.querySelector('.delete-btn');
+    const addSubtaskBtn = modal.querySelector('.add-subtask-btn');
   
     closeBtn.onclick = closeModal;
+
+    modal.querySelector('.manage-labels-btn').onclick = () => {
+      // Keep the current selection while the board's labels change
+      const selectedIds = getModalLabels(modal);
+      showLabelsDialog(() => renderModalLabels(modal, selectedIds.filter(id => getLabel(id))));
+    };
+
+    modal.querySelectorAll('.description-tab').forEach(tab => {
+      tab.onclick = () => setDescriptionView(modal, tab.dataset.view);
+    });
+    modal.querySelector('.description-preview').onchange = (e) => {
+      if (e.target.classList.contains('markdown-checkbox')) toggleDescriptionCheckbox(modal, e.target);
+    };
+
+    addSubtaskBtn.onclick = () => {
+      const row = addSubtaskRow(modal.querySelector('#modal-subtasks'));
+      row.querySelector('.subtask-title').focus();
+    };
   
     saveBtn.onclick = () => {
       const taskId = modal.dataset.taskId;
@@ -120,10 +2017,23 @@ export function openModal(taskId) {
   
     const titleInput = modal.querySelector('#modal-title');
     const descriptionInput = modal.querySelector('#modal-description');
+    const dueDateInput = modal.querySelector('#modal-due-date');
+    const priorityInput = modal.querySelector('#modal-priority');
     const statusSelect = modal.querySelector('#modal-status');
     const deleteBtn = modal.querySelector('.delete-btn');
     const header = modal.querySelector('#modal-mode-title');
     const saveBtn = modal.querySelector('.save-btn');
+    const subtaskList = modal.querySelector('#modal-subtasks');
+    subtaskList.innerHTML = ''; // Clear rows from the previous task
+
+    // Status options mirror the active board's columns
+    statusSelect.innerHTML = '';
+    getColumns().forEach(column => {
+      const option = document.createElement('option');
+      option.value = column.id;
+      option.textContent = column.name;
+      statusSelect.appendChild(option);
+    });
   
     if (taskId) {
       const task = taskMap[taskId];
@@ -131,7 +2041,12 @@ export function openModal(taskId) {
   
       titleInput.value = task.title;
       descriptionInput.value = task.description;
+      dueDateInput.value = task.dueDate || '';
+      priorityInput.value = task.priority || 'medium';
+      (task.subtasks || []).forEach(subtask => addSubtaskRow(subtaskList, subtask));
+      renderModalLabels(modal, task.labels || []);
       statusSelect.value = task.status;
+      setDescriptionView(modal, task.description ? 'preview' : 'edit');
       modal.dataset.taskId = taskId;
       deleteBtn.style.display = 'inline-block';
       header.textContent = 'Edit Task';
@@ -139,7 +2054,11 @@ export function openModal(taskId) {
     } else {
       titleInput.value = '';
       descriptionInput.value = '';
-      statusSelect.value = 'todo';
+      dueDateInput.value = '';
+      priorityInput.value = 'medium';
+      renderModalLabels(modal, getLabelFilter()); // New cards stay visible under the label filter
+      statusSelect.value = getColumns()[0].id;
+      setDescriptionView(modal, 'edit');
       delete modal.dataset.taskId;
       deleteBtn.style.display = 'none';
       header.textContent = 'Add New Task';
@@ -189,6 +2108,89 @@ export function closeModal() {
   }
 }
 
+/**
+ * Show the task modal's description as text to edit, or as rendered Markdown.
+ * @param {HTMLElement} modal
+ * @param {string} view - 'edit' or 'preview'
+ */
+function setDescriptionView(modal, view) {
+  const textarea = modal.querySelector('#modal-description');
+  const preview = modal.querySelector('.description-preview');
+  if (view === 'preview') {
+    preview.innerHTML = textarea.value.trim()
+      ? renderMarkdown(textarea.value)
+      : '<p class="description-empty">No description.</p>';
+  }
+  textarea.classList.toggle('hidden', view === 'preview');
+  preview.classList.toggle('hidden', view !== 'preview');
+  modal.querySelectorAll('.description-tab').forEach(tab => {
+    tab.classList.toggle('active', tab.dataset.view === view);
+  });
+}
+
+/**
+ * Check or uncheck a task list item of the description shown in the modal.
+ * The task is saved right away, unless its description has unsaved edits,
+ * in which case the change is kept with them until "Save Changes".
+ * @param {HTMLElement} modal
+ * @param {HTMLInputElement} checkbox - A checkbox of the rendered description
+ */
+async function toggleDescriptionCheckbox(modal, checkbox) {
+  const textarea = modal.querySelector('#modal-description');
+  const previous = textarea.value;
+  textarea.value = toggleChecklistItem(previous, Number(checkbox.dataset.index), checkbox.checked);
+
+  const task = taskMap[modal.dataset.taskId];
+  if (!task || previous.trim() !== (task.description || '').trim()) return;
+
+  try {
+    const updated = await editTask(task.id, { status: task.status, description: textarea.value.trim() });
+    if (updated) {
+      saveTasks();
+      renderTasks();
+    }
+  } catch (error) {
+    textarea.value = previous;
+    setDescriptionView(modal, 'preview');
+    alert(`Error updating task: ${error.message}`);
+  }
+}
+
+/**
+ * Append an editable subtask row (checkbox, title and remove button) to the modal.
+ * @param {HTMLElement} list - The subtask list container
+ * @param {{title: string, completed: boolean}} [subtask] - Initial values
+ * @returns {HTMLElement} The new row
+ */
+function addSubtaskRow(list, subtask = { title: '', completed: false }) {
+  const row = document.createElement('div');
+  row.className = 'subtask-row';
+  row.innerHTML = `
+    <input type="checkbox" class="subtask-completed" />
+    <input type="text" class="subtask-title" placeholder="e.g. Make coffee" />
+    <button type="button" class="remove-subtask-btn" title="Remove subtask">&times;</button>
+  `;
+  row.querySelector('.subtask-completed').checked = subtask.completed;
+  row.querySelector('.subtask-title').value = subtask.title;
+  row.querySelector('.remove-subtask-btn').onclick = () => row.remove();
+  list.appendChild(row);
+  return row;
+}
+
+/**
+ * Read the subtasks entered in the modal, skipping rows without a title.
+ * @param {HTMLElement} modal
+ * @returns {Array<{title: string, completed: boolean}>}
+ */
+function getModalSubtasks(modal) {
+  return [...modal.querySelectorAll('.subtask-row')]
+    .map(row => ({
+      title: row.querySelector('.subtask-title').value.trim(),
+      completed: row.querySelector('.subtask-completed').checked,
+    }))
+    .filter(subtask => subtask.title);
+}
+
 /**
  * Save changes made in modal for existing task.
  */
@@ -198,6 +2200,10 @@ async function saveChanges() {
   const title = modal.querySelector('#modal-title').value.trim();
   const description = modal.querySelector('#modal-description').value.trim();
   const status = modal.querySelector('#modal-status').value;
+  const subtasks = getModalSubtasks(modal);
+  const dueDate = modal.querySelector('#modal-due-date').value || null;
+  const priority = modal.querySelector('#modal-priority').value;
+  const labels = getModalLabels(modal);
 
   if (!title) {
     alert("Title is required.");
@@ -205,9 +2211,9 @@ async function saveChanges() {
   }
 
   try {
-    const updated = await editTask(taskId, { title, description, status });
+    const updated = await editTask(taskId, { title, description, status, subtasks, dueDate, priority, labels });
     if (updated) {
-      saveToLocalStorage();
+      saveTasks();
       renderTasks();
       closeModal();
     }
@@ -224,6 +2230,10 @@ async function addNewTask() {
   const title = modal.querySelector('#modal-title').value.trim();
   const description = modal.querySelector('#modal-description').value.trim();
   const status = modal.querySelector('#modal-status').value;
+  const subtasks = getModalSubtasks(modal);
+  const dueDate = modal.querySelector('#modal-due-date').value || null;
+  const priority = modal.querySelector('#modal-priority').value;
+  const labels = getModalLabels(modal);
 
   if (!title) {
     alert("Please enter a title.");
@@ -231,8 +2241,8 @@ async function addNewTask() {
   }
 
   try {
-    await addTask({ title, description, status });
-    saveToLocalStorage();
+    await addTask({ title, description, status, subtasks, dueDate, priority, labels });
+    saveTasks();
     renderTasks();
     closeModal();
   } catch (error) {
@@ -240,6 +2250,80 @@ async function addNewTask() {
   }
 }
 
+/**
+ * Show a short-lived notification at the bottom of the screen, optionally with an action button.
+ * Only one toast is shown at a time.
+ * @param {string} message
+ * @param {string} [actionLabel] - Text of the action button
+ * @param {() => void} [onAction] - Called when the action button is clicked
+ */
+export function showToast(message, actionLabel, onAction) {
+  const existing = document.querySelector('.toast');
+  if (existing) existing.remove();
+
+  const toast = document.createElement('div');
+  toast.className = 'toast';
+  toast.setAttribute('role', 'status');
+
+  const text = document.createElement('span');
+  text.textContent = message;
+  toast.appendChild(text);
+
+  if (actionLabel && onAction) {
+    const actionBtn = document.createElement('button');
+    actionBtn.className = 'toast-action';
+    actionBtn.textContent = actionLabel;
+    actionBtn.addEventListener('click', () => {
+      toast.remove();
+      onAction();
+    });
+    toast.appendChild(actionBtn);
+  }
+
+  document.body.appendChild(toast);
+  setTimeout(() => toast.remove(), 6000);
+}
+
+/**
+ * Undo the last task change and refresh the board.
+ */
+export async function undoLastChange() {
+  let label;
+  try {
+    label = await undo();
+  } catch (error) {
+    alert(`Error undoing change: ${error.message}`);
+    return;
+  }
+  if (!label) {
+    showToast('Nothing to undo');
+    return;
+  }
+  saveTasks();
+  renderTasks();
+  showToast(`Undone: ${label}`, 'Redo', redoLastChange);
+}
+
+/**
+ * Redo the last undone task change and refresh the board.
+ */
+export async function redoLastChange() {
+  let label;
+  try {
+    label = await redo();
+  } catch (error) {
+    alert(`Error redoing change: ${error.message}`);
+    return;
+  }
+  if (!label) {
+    showToast('Nothing to redo');
+    return;
+  }
+  saveTasks();
+  renderTasks();
+  showToast(`Redone: ${label}`, 'Undo', undoLastChange);
+}
+
 /**
  * Show custom confirmation dialog
  */
@@ -309,14 +2393,15 @@ async function deleteTaskHandler() {
 
   // Show custom confirmation dialog
   showConfirmationDialog(
-    `Are you sure you want to delete "${task.title}"?<br><br>This action cannot be undone.`,
+    `Are you sure you want to delete "${escapeHtml(task.title)}"?<br><br>You can undo this with Ctrl+Z.`,
     async () => {
       try {
         const deleted = await deleteTask(taskId);
         if (deleted) {
-          saveToLocalStorage();
+          saveTasks();
           renderTasks();
           closeModal();
+          showToast(`Deleted "${task.title}"`, 'Undo', undoLastChange);
         }
       } catch (error) {
         alert(`Error deleting task: ${error.message}`);
@@ -0,0 +1,315 @@
+/**
+ * @file validation.js
+ * @description Validation and normalization of tasks received from the API or read from a board
+ * file. Fixable problems are corrected and reported; records that are not tasks at all are set
+ * aside in the report so they can be inspected instead of silently disappearing.
+ */
+
+import { PRIORITIES } from './tasks.js';
+
+/**
+ * Report of the last normalization, shown in the diagnostics view.
+ * @typedef {{
+ *   checkedAt: number,
+ *   total: number,
+ *   fixed: Array<{id: number, title: string, problems: string[]}>,
+ *   rejected: Array<{index: number, record: any, reason: string}>
+ * }} ValidationReport
+ */
+
+/** @type {ValidationReport|null} */
+let lastReport = null;
+
+/**
+ * Get the report of the last batch of tasks normalized.
+ * @returns {ValidationReport|null} Null until tasks were loaded from the API
+ */
+export function getValidationReport() {
+  return lastReport;
+}
+
+/**
+ * Whether a value is a plain object rather than null, an array or a primitive.
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Turn a number or numeric string into a positive integer ID.
+ * @param {any} value
+ * @returns {number|null} The ID, or null if the value is not one
+ */
+function parseId(value) {
+  const id = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  return Number.isSafeInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * Derive an ID from a record's content, so a record without an ID gets the same one on every load.
+ * @param {Object} record
+ * @returns {number}
+ */
+function generateId(record) {
+  const text = JSON.stringify(record);
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash * 33) ^ text.charCodeAt(i)) >>> 0;
+  }
+  return hash || 1;
+}
+
+/**
+ * Format a date as "YYYY-MM-DD" in local time.
+ * @param {Date} date
+ * @returns {string}
+ */
+function toDateString(date) {
+  const pad = number => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Turn a timestamp, or a date string, into milliseconds since the epoch.
+ * @param {any} value
+ * @returns {number|null}
+ */
+function parseTimestamp(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) return value;
+  if (typeof value === 'string') {
+    const time = Date.parse(value);
+    if (!Number.isNaN(time)) return time;
+  }
+  return null;
+}
+
+/**
+ * Normalize a task's due date to "YYYY-MM-DD".
+ * @param {any} value
+ * @param {string[]} problems - Receives a description of what was fixed
+ * @returns {string|null}
+ */
+function normalizeDueDate(value, problems) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+
+  const time = parseTimestamp(value);
+  if (time === null) {
+    problems.push(`Removed the due date "${value}", which is not a date.`);
+    return null;
+  }
+  const dueDate = toDateString(new Date(time));
+  problems.push(`Converted the due date "${value}" to ${dueDate}.`);
+  return dueDate;
+}
+
+/**
+ * Normalize a task's subtasks to objects with a title and a completed flag.
+ * Plain strings become unfinished subtasks.
+ * @param {any} value
+ * @param {string[]} problems - Receives a description of what was fixed
+ * @returns {Array<{title: string, completed: boolean}>}
+ */
+function normalizeSubtasks(value, problems) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) {
+    problems.push('Removed subtasks that were not a list.');
+    return [];
+  }
+
+  const subtasks = [];
+  value.forEach(subtask => {
+    if (typeof subtask === 'string' && subtask.trim()) {
+      subtasks.push({ title: subtask.trim(), completed: false });
+    } else if (isObject(subtask) && ['string', 'number'].includes(typeof subtask.title)
+      && String(subtask.title).trim()) {
+      subtasks.push({ title: String(subtask.title).trim(), completed: Boolean(subtask.completed) });
+    } else {
+      problems.push('Removed a subtask without a title.');
+    }
+  });
+  return subtasks;
+}
+
+/**
+ * Find the column a status refers to, by ID or, ignoring case, by name.
+ * @param {any} status
+ * @param {Array<{id: string, name: string}>} columns
+ * @returns {string|null} Column ID, or null if none matches
+ */
+function findColumnId(status, columns) {
+  if (typeof status !== 'string') return null;
+  const byId = columns.find(column => column.id === status);
+  if (byId) return byId.id;
+  const byName = columns.find(column => column.name.toLowerCase() === status.trim().toLowerCase());
+  return byName ? byName.id : null;
+}
+
+/**
+ * Normalize one task record. Unknown fields are kept as they are.
+ * @param {Object} record
+ * @param {Array<{id: string, name: string}>} columns - Columns of the board the task belongs to
+ * @param {string[]} problems - Receives a description of each fix
+ * @returns {Object} The normalized task, without an ID yet
+ */
+function normalizeTask(record, columns, problems) {
+  const task = { ...record };
+
+  if (typeof record.title === 'string' && record.title.trim()) {
+    task.title = record.title.trim();
+  } else if (typeof record.title === 'number' || typeof record.title === 'boolean') {
+    task.title = String(record.title);
+    problems.push(`Converted the title ${record.title} to text.`);
+  } else {
+    task.title = 'Untitled task';
+    problems.push('Gave a title to a task that had none.');
+  }
+
+  if (record.description === undefined || record.description === null) {
+    task.description = '';
+  } else if (typeof record.description !== 'string') {
+    task.description = isObject(record.description)
+      ? JSON.stringify(record.description)
+      : String(record.description);
+    problems.push('Converted the description to text.');
+  }
+
+  const columnId = findColumnId(record.status, columns);
+  if (columnId) {
+    task.status = columnId;
+  } else {
+    task.status = columns[0].id;
+    problems.push(record.status === undefined
+      ? `Put a task without a status in "${columns[0].name}".`
+      : `Moved a task with the unknown status "${record.status}" to "${columns[0].name}".`);
+  }
+
+  task.subtasks = normalizeSubtasks(record.subtasks, problems);
+  task.dueDate = normalizeDueDate(record.dueDate, problems);
+
+  // Tasks without a priority rank as medium but show no badge, so a missing priority stays missing
+  if (record.priority !== undefined && record.priority !== null) {
+    const priority = String(record.priority).toLowerCase();
+    if (PRIORITIES.some(p => p.id === priority)) {
+      task.priority = priority;
+    } else {
+      task.priority = 'medium';
+      problems.push(`Replaced the unknown priority "${record.priority}" with Medium.`);
+    }
+  }
+
+  if (Array.isArray(record.labels)) {
+    task.labels = record.labels.filter(label => typeof label === 'string');
+    if (task.labels.length !== record.labels.length) problems.push('Removed labels that were not label IDs.');
+  } else {
+    task.labels = [];
+    if (record.labels !== undefined && record.labels !== null) problems.push('Removed labels that were not a list.');
+  }
+
+  if (record.position !== undefined && typeof record.position !== 'number') {
+    const position = Number(record.position);
+    if (Number.isFinite(position)) {
+      task.position = position;
+    } else {
+      delete task.position;
+    }
+  }
+
+  ['createdAt', 'updatedAt', 'doneAt'].forEach(field => {
+    if (record[field] === undefined) return;
+    const time = parseTimestamp(record[field]);
+    if (time === null) {
+      delete task[field];
+      problems.push(`Removed the invalid ${field} "${record[field]}".`);
+    } else {
+      task[field] = time;
+    }
+  });
+
+  return task;
+}
+
+/**
+ * Validate and normalize task records, e.g. those of a board file, without touching the
+ * diagnostics report. Fixable problems are corrected: types are coerced, missing or duplicate
+ * IDs are assigned and unknown statuses go to the first column. Records that are not objects,
+ * and exact copies of a record already listed, are rejected.
+ * @param {any[]} records - Records as received
+ * @param {Array<{id: string, name: string}>} columns - Columns of the board the tasks belong to
+ * @returns {{tasks: Array<Object>, report: ValidationReport}} The valid and fixed tasks, and what was wrong
+ */
+export function validateTasks(records, columns) {
+  const report = { checkedAt: Date.now(), total: records.length, fixed: [], rejected: [] };
+  const normalized = [];
+  const usedIds = new Set();
+
+  // Records with a valid ID keep it, so IDs are assigned only once every valid one is known
+  records.forEach(record => {
+    const id = isObject(record) ? parseId(record.id) : null;
+    if (id !== null) usedIds.add(id);
+  });
+  // Records that claimed each ID, so an exact copy of one is told apart from a different task reusing its ID
+  const claimedIds = new Map();
+
+  records.forEach((record, index) => {
+    if (!isObject(record)) {
+      const got = Array.isArray(record) ? 'a list' : JSON.stringify(record);
+      report.rejected.push({ index, record, reason: `Expected a task object but got ${got}.` });
+      return;
+    }
+
+    const problems = [];
+    const task = normalizeTask(record, columns, problems);
+    let id = parseId(record.id);
+
+    if (id !== null && typeof record.id !== 'number') {
+      problems.push(`Converted the ID "${record.id}" to a number.`);
+    }
+    if (id !== null && claimedIds.has(id)) {
+      if (claimedIds.get(id) === JSON.stringify(record)) {
+        report.rejected.push({ index, record, reason: `Duplicate of task ${id}.` });
+        return;
+      }
+      problems.push(`Gave a new ID to a task that reused ID ${id}.`);
+      id = null;
+    }
+    if (id === null) {
+      id = generateId(record);
+      if (usedIds.has(id)) {
+        // Generated IDs depend only on the content, so this record is a copy of a task already listed
+        report.rejected.push({ index, record, reason: `Duplicate of task ${id}.` });
+        return;
+      }
+      if (record.id === undefined) problems.push('Gave an ID to a task that had none.');
+      else if (parseId(record.id) === null) problems.push(`Replaced the invalid ID ${JSON.stringify(record.id)}.`);
+      usedIds.add(id);
+    }
+
+    task.id = id;
+    claimedIds.set(id, JSON.stringify(record));
+    normalized.push(task);
+    if (problems.length) {
+      report.fixed.push({ id, title: task.title, problems });
+    }
+  });
+
+  return { tasks: normalized, report };
+}
+
+/**
+ * Validate and normalize task records received from the API, as validateTasks does, and keep
+ * the report of the problems found for the diagnostics view.
+ * @param {any[]} records - Records as received
+ * @param {Array<{id: string, name: string}>} columns - Columns of the board the tasks belong to
+ * @returns {Array<Object>} The valid and fixed tasks
+ */
+export function normalizeTasks(records, columns) {
+  const { tasks, report } = validateTasks(records, columns);
+  lastReport = report;
+  if (report.fixed.length || report.rejected.length) {
+    console.warn(`Tasks from the API: fixed ${report.fixed.length}, rejected ${report.rejected.length}`, report);
+  }
+  return tasks;
+}